@@ -0,0 +1,84 @@
+/**
+ * 文件服务的访问控制，应用内的文件服务（src/main/server/file-server.js）和部署的文件服务共用
+ * 请求需要带上 Authorization: Bearer <token>，下载也可以使用 signDownload 生成的带签名、有有效期的地址
+ * 跨域请求只允许 origins 中的来源
+ */
+import crypto from 'crypto'
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a || ''))
+  const bufB = Buffer.from(String(b || ''))
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+function signature(token, filePath, expires) {
+  return crypto.createHmac('sha256', token).update(`${filePath}:${expires}`).digest('hex')
+}
+
+/**
+ * 生成带签名的下载参数，用于 ffmpeg 等无法带请求头的场景
+ * @param {string} token
+ * @param {string} filePath 文件服务上的路径
+ * @param {number} ttl 有效期（毫秒）
+ * @returns {{path: string, expires: number, signature: string}}
+ */
+export function signDownload(token, filePath, ttl) {
+  const expires = Date.now() + ttl
+  return { path: filePath, expires, signature: signature(token, filePath, expires) }
+}
+
+/**
+ * 创建访问控制中间件
+ * @param {object} options
+ * @param {string|function} options.token 访问令牌，传函数时每次请求重新读取
+ * @param {string[]} [options.origins] 允许跨域的来源，'*' 表示全部
+ * @param {object} [options.log] 日志，默认 console
+ */
+export function createAuth({ token, origins = [], log = console }) {
+  const currentToken = typeof token === 'function' ? token : () => token
+
+  function isAuthorized(req) {
+    const expected = currentToken()
+    if (!expected) return false
+
+    const header = req.headers.authorization || ''
+    if (header.startsWith('Bearer ') && safeEqual(header.slice(7), expected)) {
+      return true
+    }
+
+    // 带签名的下载地址
+    const { path: filePath, expires, signature: sign } = req.query
+    return (
+      req.method === 'GET' &&
+      req.path === '/file/download' &&
+      !!filePath &&
+      Number(expires) > Date.now() &&
+      safeEqual(sign, signature(expected, filePath, expires))
+    )
+  }
+
+  return (req, res, next) => {
+    const origin = req.headers.origin
+    if (origin && (origins.includes('*') || origins.includes(origin))) {
+      res.header('Access-Control-Allow-Origin', origin)
+      res.header('Vary', 'Origin')
+      res.header(
+        'Access-Control-Allow-Headers',
+        'Origin, X-Requested-With, Content-Type, Accept, Range, Authorization'
+      )
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
+    }
+    if (req.method === 'OPTIONS') {
+      return res.sendStatus(204)
+    }
+
+    if (isAuthorized(req)) {
+      return next()
+    }
+    log.warn(`Unauthorized request: ${req.method} ${req.path} from ${req.ip}`)
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized'
+    })
+  }
+}
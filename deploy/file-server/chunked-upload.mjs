@@ -0,0 +1,260 @@
+/**
+ * 分片上传，应用内的文件服务（src/main/server/file-server.js）和部署的文件服务共用
+ *
+ * POST /file/upload/init      {fileName, size, category, sha256, key} -> {uploadId, offset, chunkSize}
+ * PUT  /file/upload/chunk     ?uploadId=&offset=，请求体为分片内容 -> {offset}
+ * GET  /file/upload/status    ?uploadId= -> {offset, size}
+ * POST /file/upload/complete  {uploadId} -> {filePath, originalName, sha256}
+ *
+ * 上传状态和已收到的内容保存在 dataDir/.uploads 下，服务重启后可以继续上传，
+ * 已收到的字节数以 .part 文件的大小为准，中断的分片写入多少就算多少
+ */
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { rememberChecksum } from './send-file.mjs'
+import { PathError } from './resolve-path.mjs'
+
+const UPLOAD_DIR = '.uploads'
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024
+// 超过一天没有继续的上传会被清理
+const EXPIRE_TIME = 24 * 60 * 60 * 1000
+
+class UploadError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message)
+    this.status = status
+    this.extra = extra
+  }
+}
+
+function readJson(req) {
+  if (req.body && typeof req.body === 'object') {
+    return Promise.resolve(req.body)
+  }
+  return new Promise((resolve, reject) => {
+    let data = ''
+    req.setEncoding('utf8')
+    req.on('data', (chunk) => {
+      data += chunk
+    })
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {})
+      } catch (error) {
+        reject(new UploadError(400, 'Invalid JSON body'))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+function sha256(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject)
+  })
+}
+
+/**
+ * 注册分片上传接口
+ * @param {import('express').Express} app
+ * @param {object} options
+ * @param {string} options.dataDir 文件保存的根目录
+ * @param {object} options.resolver 数据目录的路径解析器（resolve-path.mjs 的 createResolver）
+ * @param {object} [options.log] 日志，默认 console
+ * @param {number} [options.chunkSize] 单个分片的最大字节数
+ */
+export function registerChunkedUpload(app, { dataDir, resolver, log = console, chunkSize = DEFAULT_CHUNK_SIZE }) {
+  const uploadDir = path.join(dataDir, UPLOAD_DIR)
+  // 正在写入的上传，同一个上传同时只接受一个分片
+  const writing = new Set()
+
+  function paths(uploadId) {
+    if (!/^[\w-]{8,64}$/.test(String(uploadId || ''))) {
+      throw new UploadError(400, 'Invalid upload id')
+    }
+    return {
+      state: path.join(uploadDir, `${uploadId}.json`),
+      part: path.join(uploadDir, `${uploadId}.part`)
+    }
+  }
+
+  function loadState(uploadId) {
+    const { state, part } = paths(uploadId)
+    if (!fs.existsSync(state)) {
+      throw new UploadError(404, 'Upload not found')
+    }
+    return {
+      ...JSON.parse(fs.readFileSync(state, 'utf8')),
+      offset: fs.existsSync(part) ? fs.statSync(part).size : 0
+    }
+  }
+
+  function removeUpload(uploadId) {
+    Object.values(paths(uploadId)).forEach((filePath) => {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath)
+    })
+  }
+
+  function removeExpired() {
+    fs.readdirSync(uploadDir)
+      .filter((name) => name.endsWith('.json'))
+      .forEach((name) => {
+        const statePath = path.join(uploadDir, name)
+        if (Date.now() - fs.statSync(statePath).mtimeMs > EXPIRE_TIME) {
+          log.info(`Removing expired upload: ${name}`)
+          removeUpload(path.basename(name, '.json'))
+        }
+      })
+  }
+
+  function handle(fn) {
+    return async (req, res) => {
+      try {
+        res.json({ success: true, ...(await fn(req, res)) })
+      } catch (error) {
+        if (!(error instanceof UploadError || error instanceof PathError)) {
+          log.error('Chunked upload error:', error)
+        }
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message || 'Unknown error',
+          ...error.extra
+        })
+      }
+    }
+  }
+
+  if (!fs.existsSync(uploadDir)) {
+    fs.mkdirSync(uploadDir, { recursive: true })
+  }
+
+  app.post(
+    '/file/upload/init',
+    handle(async (req) => {
+      const { fileName = '', size, category = 'default', sha256: checksum = null, key } = await readJson(req)
+      if (!Number.isInteger(size) || size < 0) {
+        throw new UploadError(400, 'Invalid file size')
+      }
+      // 分类不合法时直接拒绝，不要等到上传完成
+      resolver.categoryDir(category)
+
+      removeExpired()
+
+      // 客户端用同一个 key 重新初始化时继续之前的上传
+      const uploadId = key || crypto.randomUUID()
+      const { state: statePath } = paths(uploadId)
+      if (fs.existsSync(statePath)) {
+        const state = loadState(uploadId)
+        if (state.size === size && state.sha256 === checksum && state.offset <= size) {
+          log.info(`Resuming upload ${uploadId} at ${state.offset}/${size}`)
+          fs.utimesSync(statePath, new Date(), new Date())
+          return { uploadId, offset: state.offset, chunkSize }
+        }
+        removeUpload(uploadId)
+      }
+
+      fs.writeFileSync(
+        statePath,
+        JSON.stringify({
+          uploadId,
+          fileName: path.basename(String(fileName)),
+          size,
+          category: String(category),
+          sha256: checksum,
+          createdAt: Date.now()
+        })
+      )
+      log.info(`Upload ${uploadId} initialized: ${fileName}, ${size} bytes`)
+      return { uploadId, offset: 0, chunkSize }
+    })
+  )
+
+  app.put(
+    '/file/upload/chunk',
+    handle(async (req) => {
+      const { uploadId } = req.query
+      const state = loadState(uploadId)
+      const offset = Number(req.query.offset)
+      const length = Number(req.headers['content-length'])
+
+      if (offset !== state.offset) {
+        throw new UploadError(409, 'Offset mismatch', { offset: state.offset })
+      }
+      if (!Number.isInteger(length) || length > chunkSize || offset + length > state.size) {
+        throw new UploadError(413, 'Invalid chunk length', { offset: state.offset })
+      }
+      if (writing.has(uploadId)) {
+        throw new UploadError(409, 'Upload is busy', { offset: state.offset })
+      }
+
+      writing.add(uploadId)
+      try {
+        await new Promise((resolve, reject) => {
+          const output = fs.createWriteStream(paths(uploadId).part, { flags: 'a' })
+          output.on('finish', resolve)
+          output.on('error', reject)
+          req.on('aborted', () => {
+            output.end()
+            reject(new UploadError(400, 'Chunk aborted'))
+          })
+          req.pipe(output)
+        })
+      } finally {
+        writing.delete(uploadId)
+        fs.utimesSync(paths(uploadId).state, new Date(), new Date())
+      }
+      return { offset: loadState(uploadId).offset }
+    })
+  )
+
+  app.get(
+    '/file/upload/status',
+    handle(async (req) => {
+      const { uploadId, offset, size } = loadState(req.query.uploadId)
+      return { uploadId, offset, size }
+    })
+  )
+
+  app.post(
+    '/file/upload/complete',
+    handle(async (req) => {
+      const { uploadId } = await readJson(req)
+      const state = loadState(uploadId)
+      if (state.offset !== state.size) {
+        throw new UploadError(409, 'Upload is incomplete', { offset: state.offset })
+      }
+
+      const { part } = paths(uploadId)
+      if (!fs.existsSync(part)) {
+        // 空文件没有分片
+        fs.writeFileSync(part, '')
+      }
+      const checksum = await sha256(part)
+      if (state.sha256 && state.sha256 !== checksum) {
+        // 内容已经损坏，只能重新上传
+        removeUpload(uploadId)
+        throw new UploadError(422, 'Checksum mismatch')
+      }
+
+      const categoryDir = resolver.categoryDir(state.category)
+      if (!fs.existsSync(categoryDir)) {
+        fs.mkdirSync(categoryDir, { recursive: true })
+      }
+      const fileName = `${crypto.randomUUID()}${path.extname(state.fileName)}`
+      const fullPath = path.join(categoryDir, fileName)
+      fs.renameSync(part, fullPath)
+      rememberChecksum(fullPath, checksum)
+      resolver.add(fullPath)
+      removeUpload(uploadId)
+
+      const filePath = path.join(state.category, fileName)
+      log.info(`Upload ${uploadId} completed: ${filePath}`)
+      return { filePath, originalName: state.fileName, sha256: checksum }
+    })
+  )
+}
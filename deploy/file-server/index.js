@@ -2,17 +2,30 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const cors = require('cors');
 
 // Get port and data directory from command line arguments
 const port = process.argv[2] || 3000;
 const dataDir = process.argv[3] || './data';
 
+// Access token, must match the token shown in the desktop app's service settings
+const token = process.env.FILE_SERVER_TOKEN;
+// Allowed CORS origins, comma separated, '*' for any
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').filter(Boolean);
+
+if (!token) {
+  console.error('FILE_SERVER_TOKEN is not set, refusing to start without authentication');
+  process.exit(1);
+}
+
 // Create Express app
 const app = express();
 
-// Enable CORS
-app.use(cors());
+// Token auth and CORS, set up before the server starts listening
+let auth = null;
+app.use((req, res, next) => auth(req, res, next));
+
+// Confines request paths to dataDir and finds files by id, set up with auth
+let resolver = null;
 
 // Create data directory if it doesn't exist
 if (!fs.existsSync(dataDir)) {
@@ -23,14 +36,17 @@ if (!fs.existsSync(dataDir)) {
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const category = req.body.category || 'default';
-    const categoryDir = path.join(dataDir, category);
-    
-    if (!fs.existsSync(categoryDir)) {
-      fs.mkdirSync(categoryDir, { recursive: true });
+    try {
+      const categoryDir = resolver.categoryDir(req.body.category || 'default');
+      
+      if (!fs.existsSync(categoryDir)) {
+        fs.mkdirSync(categoryDir, { recursive: true });
+      }
+      
+      cb(null, categoryDir);
+    } catch (error) {
+      cb(error);
     }
-    
-    cb(null, categoryDir);
   },
   filename: (req, file, cb) => {
     // Generate a unique filename to avoid collisions
@@ -41,8 +57,20 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage });
 
+// Reply with JSON instead of express's default error page when the category is rejected
+const uploadSingle = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    console.warn('File upload rejected:', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  });
+};
+
 // File upload endpoint
-app.post('/file/upload', upload.single('file'), (req, res) => {
+app.post('/file/upload', uploadSingle, (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -54,6 +82,7 @@ app.post('/file/upload', upload.single('file'), (req, res) => {
     const category = req.body.category || 'default';
     const relativePath = path.join(category, req.file.filename);
     
+    resolver.add(req.file.path);
     console.log(`File uploaded: ${relativePath}`);
     
     return res.json({
@@ -71,38 +100,48 @@ app.post('/file/upload', upload.single('file'), (req, res) => {
 });
 
 // File download endpoint
-app.get('/file/download', (req, res) => {
+app.get('/file/download', async (req, res) => {
   try {
-    const filePath = req.query.path;
+    const fullPath = resolver.resolve(req.query.path);
     
-    if (!filePath) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file path provided'
-      });
-    }
-    
-    const fullPath = path.join(dataDir, filePath);
-    
-    if (!fs.existsSync(fullPath)) {
+    if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
       return res.status(404).json({
         success: false,
         error: 'File not found'
       });
     }
     
-    return res.download(fullPath);
+    const { sendFile } = await import('./send-file.mjs');
+    return await sendFile(res, fullPath);
   } catch (error) {
     console.error('File download error:', error.message);
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Start the server
-app.listen(port, () => {
-  console.log(`File server listening on port ${port}`);
-  console.log(`Data directory: ${dataDir}`);
-});
+// Auth, path resolution, chunked upload and file management are shared with the desktop app's file server (ES modules)
+Promise.all([
+  import('./auth.mjs'),
+  import('./resolve-path.mjs'),
+  import('./chunked-upload.mjs'),
+  import('./manage-files.mjs')
+])
+  .then(([{ createAuth }, { createResolver }, { registerChunkedUpload }, { registerFileManagement }]) => {
+    auth = createAuth({ token, origins: corsOrigins });
+    resolver = createResolver(dataDir);
+    registerChunkedUpload(app, { dataDir, resolver });
+    registerFileManagement(app, { resolver });
+
+    // Start the server
+    app.listen(port, () => {
+      console.log(`File server listening on port ${port}`);
+      console.log(`Data directory: ${dataDir}`);
+    });
+  })
+  .catch((error) => {
+    console.error('Failed to start file server:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,75 @@
+/**
+ * 文件管理，应用内的文件服务（src/main/server/file-server.js）和部署的文件服务共用
+ *
+ * DELETE /file       ?path= -> {filePath}
+ * GET    /file/list  ?category= -> {files: [{path, size, mtime}]}，用于客户端清理没有引用的文件
+ */
+import fs from 'fs'
+import path from 'path'
+import { forgetChecksum } from './send-file.mjs'
+import { PathError } from './resolve-path.mjs'
+
+/**
+ * 注册文件管理接口
+ * @param {import('express').Express} app
+ * @param {object} options
+ * @param {object} options.resolver 数据目录的路径解析器（resolve-path.mjs 的 createResolver）
+ * @param {object} [options.log] 日志，默认 console
+ */
+export function registerFileManagement(app, { resolver, log = console }) {
+  function handle(fn) {
+    return async (req, res) => {
+      try {
+        res.json({ success: true, ...(await fn(req, res)) })
+      } catch (error) {
+        if (!(error instanceof PathError)) {
+          log.error('File management error:', error)
+        }
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message || 'Unknown error'
+        })
+      }
+    }
+  }
+
+  function listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+      if (entry.name.startsWith('.')) return []
+      const fullPath = path.join(dir, entry.name)
+      if (entry.isDirectory()) return listFiles(fullPath)
+      if (!entry.isFile()) return []
+      const { size, mtimeMs } = fs.statSync(fullPath)
+      return [
+        {
+          path: path.relative(resolver.root, fullPath).split(path.sep).join('/'),
+          size,
+          mtime: mtimeMs
+        }
+      ]
+    })
+  }
+
+  app.delete(
+    '/file',
+    handle(async (req) => {
+      const fullPath = resolver.resolve(req.query.path)
+      if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
+        throw new PathError(404, 'File not found')
+      }
+      fs.unlinkSync(fullPath)
+      resolver.remove(fullPath)
+      forgetChecksum(fullPath)
+      log.info(`File deleted: ${fullPath}`)
+      return { filePath: req.query.path }
+    })
+  )
+
+  app.get(
+    '/file/list',
+    handle(async (req) => {
+      const dir = resolver.categoryDir(req.query.category)
+      return { files: fs.existsSync(dir) ? listFiles(dir) : [] }
+    })
+  )
+}
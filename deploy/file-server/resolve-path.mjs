@@ -0,0 +1,151 @@
+/**
+ * 文件路径解析，应用内的文件服务（src/main/server/file-server.js）和部署的文件服务共用
+ *
+ * 请求中的路径只能落在数据目录内，越界（../、绝对路径、指向目录外的软链接）返回 403，
+ * 以 . 开头的内部目录（如分片上传的 .uploads）同样不允许访问
+ * 只有文件名的路径视为文件 ID（上传时生成的 uuid 文件名），通过索引找到所在的分类目录
+ */
+import fs from 'fs'
+import path from 'path'
+
+// 索引里找不到时重新扫描的最短间隔，其他服务直接写入数据目录的文件也能找到
+const REINDEX_INTERVAL = 10 * 1000
+
+export class PathError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+/**
+ * 创建数据目录的路径解析器
+ * @param {string} dataDir 数据根目录
+ * @param {object} [options]
+ * @param {object} [options.log] 日志，默认 console
+ */
+export function createResolver(dataDir, { log = console } = {}) {
+  const root = path.resolve(dataDir)
+  // 文件名 -> 相对数据目录的路径
+  const index = new Map()
+  let indexedAt = 0
+  let realRoot = null
+
+  function isInside(base, target) {
+    const relative = path.relative(base, target)
+    return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative)
+  }
+
+  function isHidden(relative) {
+    return relative.split(path.sep).some((part) => part.startsWith('.'))
+  }
+
+  function reindex() {
+    index.clear()
+    const walk = (dir) => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+        if (entry.name.startsWith('.')) return
+        const fullPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+          walk(fullPath)
+        } else if (entry.isFile()) {
+          index.set(entry.name, path.relative(root, fullPath))
+        }
+      })
+    }
+    if (fs.existsSync(root)) {
+      walk(root)
+    }
+    indexedAt = Date.now()
+    log.info(`Indexed ${index.size} files in ${root}`)
+  }
+
+  function lookup(fileId) {
+    if (!indexedAt || (!index.has(fileId) && Date.now() - indexedAt > REINDEX_INTERVAL)) {
+      reindex()
+    }
+    const relative = index.get(fileId)
+    if (relative && fs.existsSync(path.join(root, relative))) {
+      return relative
+    }
+    index.delete(fileId)
+    return null
+  }
+
+  /**
+   * 软链接可能指向数据目录外，按真实路径再检查一次
+   */
+  function checkRealPath(fullPath) {
+    if (!fs.existsSync(fullPath)) return
+    realRoot = realRoot || fs.realpathSync(root)
+    if (!isInside(realRoot, fs.realpathSync(fullPath))) {
+      throw new PathError(403, 'Forbidden path')
+    }
+  }
+
+  /**
+   * 将请求中的路径解析为数据目录内的完整路径，不检查文件是否存在
+   * @param {string} requested 相对数据目录的路径，或者文件 ID
+   * @returns {string}
+   */
+  function resolve(requested) {
+    if (typeof requested !== 'string' || !requested || requested.includes('\0')) {
+      throw new PathError(400, 'Invalid file path')
+    }
+    // Windows 客户端传来的路径可能使用反斜杠
+    const normalized = requested.replace(/\\/g, '/')
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+      throw new PathError(403, 'Forbidden path')
+    }
+
+    const fullPath = path.resolve(root, normalized)
+    const relative = path.relative(root, fullPath)
+    if (!isInside(root, fullPath) || isHidden(relative)) {
+      throw new PathError(403, 'Forbidden path')
+    }
+
+    if (!normalized.includes('/') && !fs.existsSync(fullPath)) {
+      const found = lookup(normalized)
+      if (found) {
+        return path.join(root, found)
+      }
+    }
+    checkRealPath(fullPath)
+    return fullPath
+  }
+
+  /**
+   * 上传分类对应的目录，分类只能是一级目录名
+   * @param {string} [category]
+   * @returns {string}
+   */
+  function categoryDir(category = 'default') {
+    const name = String(category)
+    if (!name || name !== path.basename(name) || name.includes('\\') || name.startsWith('.')) {
+      throw new PathError(403, 'Invalid category')
+    }
+    const dir = path.join(root, name)
+    checkRealPath(dir)
+    return dir
+  }
+
+  /**
+   * 新写入的文件加入索引
+   * @param {string} fullPath
+   */
+  function add(fullPath) {
+    index.set(path.basename(fullPath), path.relative(root, fullPath))
+  }
+
+  /**
+   * 删除的文件移出索引
+   * @param {string} fullPath
+   */
+  function remove(fullPath) {
+    if (index.get(path.basename(fullPath)) === path.relative(root, fullPath)) {
+      index.delete(path.basename(fullPath))
+    }
+  }
+
+  return { root, resolve, categoryDir, add, remove }
+}
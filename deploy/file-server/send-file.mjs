@@ -0,0 +1,67 @@
+/**
+ * 发送文件，应用内的文件服务（src/main/server/file-server.js）和部署的文件服务共用
+ * 支持 Range 断点续传，响应头 X-Content-SHA256 为整个文件的 sha256，客户端下载完成后校验
+ */
+import fs from 'fs'
+import crypto from 'crypto'
+
+export const CHECKSUM_HEADER = 'X-Content-SHA256'
+
+// 文件路径 -> {size, mtimeMs, checksum}，文件变化后重新计算
+const checksums = new Map()
+
+/**
+ * 记录已知的校验值，上传完成时已经算过，不用再读一遍文件
+ * @param {string} fullPath
+ * @param {string} checksum
+ */
+export function rememberChecksum(fullPath, checksum) {
+  const { size, mtimeMs } = fs.statSync(fullPath)
+  checksums.set(fullPath, { size, mtimeMs, checksum })
+}
+
+/**
+ * 文件删除后清除校验值
+ * @param {string} fullPath
+ */
+export function forgetChecksum(fullPath) {
+  checksums.delete(fullPath)
+}
+
+/**
+ * 文件的 sha256
+ * @param {string} fullPath
+ * @returns {Promise<string>}
+ */
+export async function fileChecksum(fullPath) {
+  const { size, mtimeMs } = fs.statSync(fullPath)
+  const cached = checksums.get(fullPath)
+  if (cached && cached.size === size && cached.mtimeMs === mtimeMs) {
+    return cached.checksum
+  }
+  const checksum = await new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    fs.createReadStream(fullPath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject)
+  })
+  checksums.set(fullPath, { size, mtimeMs, checksum })
+  return checksum
+}
+
+/**
+ * 发送文件，Range 请求由 express 处理（206 / 416）
+ * @param {import('express').Response} res
+ * @param {string} fullPath
+ */
+export async function sendFile(res, fullPath) {
+  res.setHeader(CHECKSUM_HEADER, await fileChecksum(fullPath))
+  res.setHeader('Access-Control-Expose-Headers', `${CHECKSUM_HEADER}, Content-Range, Accept-Ranges`)
+  res.download(fullPath, (error) => {
+    // 下载中断时响应头已经发出，无需处理
+    if (error && !res.headersSent) {
+      res.status(error.status || 500).json({ success: false, error: error.message })
+    }
+  })
+}
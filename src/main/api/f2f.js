@@ -2,14 +2,21 @@ import request from './request.js'
 import { serviceUrl } from '../config/config.js'
 import log from '../logger.js'
 
-export function makeVideo(param) {
+export function makeVideo(param, baseUrl = serviceUrl.face2face) {
   log.debug('~ makeVideo ~ param:', JSON.stringify(param))
-  return request.post(`${serviceUrl.face2face}/submit`, param)
+  return request.post(`${baseUrl}/submit`, param)
 }
 
-export function getVideoStatus(taskCode) {
-  return request.get(`${serviceUrl.face2face}/query?code=${taskCode}`).then((res) => {
+export function getVideoStatus(taskCode, baseUrl = serviceUrl.face2face) {
+  return request.get(`${baseUrl}/query?code=${taskCode}`).then((res) => {
     log.debug('~ getVideoStatus ~ res:', JSON.stringify(res))
     return res
   })
 }
+
+/**
+ * 通知 face2face 停止任务，不支持该接口的服务会返回 404
+ */
+export function stopVideo(taskCode, baseUrl = serviceUrl.face2face) {
+  return request.post(`${baseUrl}/stop`, { code: taskCode })
+}
@@ -2,19 +2,202 @@ import axios from 'axios'
 import FormData from 'form-data'
 import fs from 'fs'
 import path from 'path'
-import { serviceUrl } from '../config/config.js'
+import os from 'os'
+import crypto from 'crypto'
+import { pipeline } from 'stream/promises'
+import { serviceUrl, uploadConfig, fileServerAuth, gcConfig } from '../config/config.js'
 import log from '../logger.js'
+import { selectByID as selectBackendByID, selectByType } from '../dao/backend.js'
+import {
+  insert as insertRemoteFile,
+  findByRemotePath,
+  findCopy,
+  selectCopies,
+  removeByRemotePath as removeRemoteFile
+} from '../dao/remote-file.js'
+import { listAvailable, getLoad } from '../service/backend.js'
+import { getFileServerToken } from '../service/context.js'
+import { signDownload } from '../../../deploy/file-server/auth.mjs'
+
+/**
+ * 解析文件服务
+ * service 为服务对象时直接使用该服务的文件服务，
+ * 为 'face2faceFileServer' / 'ttsFileServer' 时选择负载最低的同类型健康服务
+ * @param {string|object} service
+ * @returns {{backend: object|null, url: string}}
+ */
+function resolveFileServer(service) {
+  if (service && typeof service === 'object') {
+    return { backend: service, url: service.file_server_url }
+  }
+
+  const type = String(service).replace(/FileServer$/, '')
+  const backend =
+    listAvailable(type).sort((a, b) => getLoad(a) - getLoad(b))[0] ||
+    selectByType(type).find((item) => item.enabled)
+  if (backend) {
+    return { backend, url: backend.file_server_url }
+  }
+  return { backend: null, url: serviceUrl[`${type}FileServer`] }
+}
+
+/**
+ * 查询文件所在的文件服务，未登记的文件按 service 解析
+ * @param {string} remotePath
+ * @param {string|object} service
+ */
+function locateFileServer(remotePath, service) {
+  const remoteFile = findByRemotePath(remotePath)
+  const holder = remoteFile && selectBackendByID(remoteFile.backend_id)
+  if (holder) {
+    return { backend: holder, url: holder.file_server_url }
+  }
+  return resolveFileServer(service)
+}
+
+/**
+ * 文件服务的认证请求头
+ */
+export function authHeaders() {
+  return { Authorization: `Bearer ${getFileServerToken()}` }
+}
+
+/**
+ * 文件在文件服务上的下载地址，ffmpeg 可以直接读取需要的部分而不用下载整个文件
+ * 地址带有签名，在 fileServerAuth.signedUrlTtl 内有效
+ * @param {string} remotePath
+ * @param {string|object} service - Fallback service key or backend when the file is not registered
+ * @returns {string}
+ */
+export function getDownloadUrl(remotePath, service) {
+  const target = locateFileServer(remotePath, service)
+  if (!target.url) {
+    throw new Error(`Invalid service: ${service}`)
+  }
+  const params = signDownload(getFileServerToken(), remotePath, fileServerAuth.signedUrlTtl)
+  return `${target.url}/file/download?${new URLSearchParams(params)}`
+}
+
+function sha256(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject)
+  })
+}
+
+/**
+ * 整个文件一次上传，用于不支持分片上传的文件服务
+ */
+async function uploadWhole(url, filePath, category) {
+  const formData = new FormData()
+  formData.append('file', fs.createReadStream(filePath))
+  formData.append('category', category)
+
+  const response = await axios.post(`${url}/file/upload`, formData, {
+    headers: {
+      ...formData.getHeaders(),
+      ...authHeaders()
+    },
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity
+  })
+  return response.data
+}
+
+/**
+ * 分片上传，分片失败时从文件服务记录的位置继续
+ * 同一个文件再次上传时（如应用重启后）使用相同的 key，服务端会继续之前的上传
+ * @returns {Promise<object|null>} 文件服务的响应，文件服务不支持分片上传时返回 null
+ */
+async function uploadInChunks(url, filePath, category, stats) {
+  const fileName = path.basename(filePath)
+  const key = crypto
+    .createHash('sha1')
+    .update(`${url}|${filePath}|${stats.size}|${stats.mtimeMs}`)
+    .digest('hex')
+
+  let init
+  try {
+    init = await axios.post(
+      `${url}/file/upload/init`,
+      {
+        fileName,
+        size: stats.size,
+        category,
+        sha256: await sha256(filePath),
+        key
+      },
+      { headers: authHeaders() }
+    )
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null
+    }
+    throw error
+  }
+
+  const { uploadId, chunkSize } = init.data
+  let { offset } = init.data
+  let failures = 0
+  while (offset < stats.size) {
+    const end = Math.min(offset + chunkSize, stats.size)
+    try {
+      const response = await axios.put(
+        `${url}/file/upload/chunk`,
+        fs.createReadStream(filePath, { start: offset, end: end - 1 }),
+        {
+          params: { uploadId, offset },
+          headers: {
+            ...authHeaders(),
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': end - offset
+          },
+          maxContentLength: Infinity,
+          maxBodyLength: Infinity
+        }
+      )
+      offset = response.data.offset
+      failures = 0
+    } catch (error) {
+      failures++
+      if (failures > uploadConfig.maxRetries) {
+        throw error
+      }
+      log.warn(`Chunk ${offset}-${end} of ${fileName} failed (${failures}): ${error.message}`)
+      await new Promise((resolve) => setTimeout(resolve, uploadConfig.retryDelay * failures))
+      // 以服务端实际收到的字节数为准
+      const status = await axios
+        .get(`${url}/file/upload/status`, { params: { uploadId }, headers: authHeaders() })
+        .catch(() => null)
+      if (status) {
+        offset = status.data.offset
+      }
+    }
+  }
+
+  const response = await axios.post(
+    `${url}/file/upload/complete`,
+    { uploadId },
+    { headers: authHeaders() }
+  )
+  return response.data
+}
 
 /**
  * Upload a file to the backend server
  * @param {string} filePath - Local file path
- * @param {string} service - Service name ('tts', 'face2face')
+ * @param {string|object} service - Service key ('ttsFileServer', 'face2faceFileServer') or backend
  * @param {string} category - File category ('audio', 'video', etc.)
- * @returns {Promise<{success: boolean, remotePath: string, error: string}>}
+ * @param {object} [options]
+ * @param {string} [options.originPath] - Remote path of the file this upload copies
+ * @returns {Promise<{success: boolean, remotePath: string, backendId: number, error: string}>}
  */
-export async function uploadFile(filePath, service, category) {
+export async function uploadFile(filePath, service, category, { originPath = null } = {}) {
   try {
-    log.info(`Uploading file ${filePath} to ${service} in category ${category}`)
+    log.info(`Uploading file ${filePath} to ${service?.name || service} in category ${category}`)
 
     // Check if file exists
     if (!fs.existsSync(filePath)) {
@@ -29,47 +212,41 @@ export async function uploadFile(filePath, service, category) {
     const stats = fs.statSync(filePath)
     log.info(`File size: ${stats.size} bytes`)
 
-    // Create form data
-    const formData = new FormData()
-    formData.append('file', fs.createReadStream(filePath))
-    formData.append('category', category)
-
     const fileName = path.basename(filePath)
     log.info(`File name: ${fileName}`)
 
     // Get service URL
-    const url = `${serviceUrl[service]}/file/upload`
-    log.info(`Uploading to URL: ${url}`)
-
-    // Make request
-    log.info('Sending request...')
-    const response = await axios.post(
-      url,
-      formData,
-      {
-        headers: {
-          ...formData.getHeaders(),
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
-      }
-    )
+    const target = resolveFileServer(service)
+    log.info(`Uploading to: ${target.url}`)
+
+    let data = await uploadInChunks(target.url, filePath, category, stats)
+    if (!data) {
+      log.info('Chunked upload is not supported, uploading the whole file')
+      data = await uploadWhole(target.url, filePath, category)
+    }
 
-    log.info('Response received:', response.status, response.statusText)
-    log.info('Response data:', response.data)
+    log.info('Response data:', data)
 
-    if (response.data.success) {
-      log.info(`File uploaded successfully. Remote path: ${response.data.filePath}`)
+    if (data.success) {
+      log.info(`File uploaded successfully. Remote path: ${data.filePath}`)
+      if (target.backend) {
+        insertRemoteFile({
+          backend_id: target.backend.id,
+          remote_path: data.filePath,
+          origin_path: originPath
+        })
+      }
       return {
         success: true,
-        remotePath: response.data.filePath,
+        remotePath: data.filePath,
+        backendId: target.backend?.id,
         fileName: fileName
       }
     } else {
-      log.error(`Upload failed: ${response.data.error || 'Unknown error'}`)
+      log.error(`Upload failed: ${data.error || 'Unknown error'}`)
       return {
         success: false,
-        error: response.data.error || 'Unknown error'
+        error: data.error || 'Unknown error'
       }
     }
   } catch (error) {
@@ -95,16 +272,38 @@ export async function uploadFile(filePath, service, category) {
   }
 }
 
+/**
+ * 请求文件，offset 大于 0 时只请求剩余部分
+ * 本地的临时文件比远程文件还大时（416）从头下载
+ */
+async function requestDownload(url, remotePath, offset) {
+  const response = await axios.get(url, {
+    params: { path: remotePath },
+    responseType: 'stream',
+    headers: offset > 0 ? { ...authHeaders(), Range: `bytes=${offset}-` } : authHeaders(),
+    validateStatus: (status) => status === 200 || status === 206 || status === 416
+  })
+  if (response.status === 416) {
+    response.data.destroy()
+    return requestDownload(url, remotePath, 0)
+  }
+  return response
+}
+
 /**
  * Download a file from the backend server
+ * 边下载边写入临时文件，完成并校验 sha256 后改名为 localPath
+ * 中断后再次下载同一个文件时，通过 Range 从临时文件的末尾继续
  * @param {string} remotePath - Remote file path
  * @param {string} localPath - Local destination path
- * @param {string} service - Service name ('tts', 'face2face')
- * @returns {Promise<{success: boolean, localPath: string, error: string}>}
+ * @param {string|object} service - Fallback service key or backend when the file is not registered
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - Called with (received, total) bytes
+ * @returns {Promise<{success: boolean, localPath: string, checksum: string, error: string}>}
  */
-export async function downloadFile(remotePath, localPath, service) {
+export async function downloadFile(remotePath, localPath, service, { onProgress } = {}) {
   try {
-    log.info(`Downloading file from ${service}. Remote path: ${remotePath}, Local path: ${localPath}`)
+    log.info(`Downloading file from ${service?.name || service}. Remote path: ${remotePath}, Local path: ${localPath}`)
 
     // Check if remotePath is valid
     if (!remotePath) {
@@ -122,9 +321,9 @@ export async function downloadFile(remotePath, localPath, service) {
       fs.mkdirSync(localDir, { recursive: true })
     }
 
-    // Get service URL
-    const serviceKey = `${service}FileServer`
-    if (!serviceUrl[serviceKey]) {
+    // Get the file server that holds the file
+    const target = locateFileServer(remotePath, service)
+    if (!target.url) {
       log.error(`Invalid service: ${service}. Available services: ${Object.keys(serviceUrl).join(', ')}`)
       return {
         success: false,
@@ -132,78 +331,56 @@ export async function downloadFile(remotePath, localPath, service) {
       }
     }
 
-    const url = `${serviceUrl[serviceKey]}/file/download`
-    log.info(`Download URL: ${url}?path=${encodeURIComponent(remotePath)}`)
-
-    // Try different path formats if the original fails
-    const pathVariations = [
-      remotePath,
-      remotePath.replace(/\\/g, '/'),
-      path.basename(remotePath)
-    ]
-
-    let response = null
-    let error = null
-
-    // Try each path variation
-    for (const pathVar of pathVariations) {
-      try {
-        log.info(`Trying path variation: ${pathVar}`)
-        response = await axios.get(
-          url,
-          {
-            params: { path: pathVar },
-            responseType: 'arraybuffer'
-          }
-        )
-
-        // If successful, break the loop
-        log.info(`Download successful with path: ${pathVar}`)
-        break
-      } catch (err) {
-        log.warn(`Failed with path ${pathVar}: ${err.message}`)
-        error = err
-      }
-    }
+    const url = `${target.url}/file/download`
+    const tempPath = `${localPath}.download`
+    const offset = fs.existsSync(tempPath) ? fs.statSync(tempPath).size : 0
+    log.info(`Download URL: ${url}?path=${encodeURIComponent(remotePath)}, offset: ${offset}`)
 
-    // If all variations failed, throw the last error
-    if (!response) {
-      throw error || new Error('All download attempts failed')
+    const response = await requestDownload(url, remotePath.replace(/\\/g, '/'), offset)
+    // 不支持 Range 的服务返回 200，从头写入
+    const resumed = response.status === 206
+    let received = resumed ? offset : 0
+    const total = resumed
+      ? Number(String(response.headers['content-range']).split('/')[1])
+      : Number(response.headers['content-length'])
+    if (resumed) {
+      log.info(`Resuming download at ${offset}/${total}`)
     }
 
-    log.info(`Download successful. Status: ${response.status}, Content length: ${response.data.length} bytes`)
+    response.data.on('data', (chunk) => {
+      received += chunk.length
+      onProgress?.(received, total)
+    })
+    await pipeline(response.data, fs.createWriteStream(tempPath, { flags: resumed ? 'a' : 'w' }))
+
+    // 文件服务返回了校验值时检查完整性，不一致说明临时文件已损坏，删除后下次从头下载
+    const checksum = response.headers['x-content-sha256']
+    if (checksum) {
+      const actual = await sha256(tempPath)
+      if (actual !== checksum) {
+        fs.unlinkSync(tempPath)
+        throw new Error(`Checksum mismatch: expected ${checksum}, got ${actual}`)
+      }
+    }
 
-    // Write file to disk
-    fs.writeFileSync(localPath, response.data)
-    log.info(`File saved to: ${localPath}`)
+    fs.renameSync(tempPath, localPath)
+    log.info(`File saved to: ${localPath}, ${received} bytes`)
 
     return {
       success: true,
-      localPath
+      localPath,
+      checksum
     }
   } catch (error) {
-    log.error('Download error:', error)
+    log.error('Download error:', error.message)
     if (error.response) {
       // The request was made and the server responded with a status code
       // that falls out of the range of 2xx
       log.error('Response status:', error.response.status)
       log.error('Response headers:', error.response.headers)
-
-      // If the response is JSON, try to parse it
-      if (error.response.headers['content-type']?.includes('application/json')) {
-        try {
-          const errorData = JSON.parse(Buffer.from(error.response.data).toString())
-          log.error('Response data:', errorData)
-        } catch (e) {
-          log.error('Could not parse error response as JSON')
-        }
-      }
     } else if (error.request) {
       // The request was made but no response was received
-      log.error('No response received. Request:', error.request)
-    } else {
-      // Something happened in setting up the request that triggered an Error
-      log.error('Error setting up request:', error.message)
+      log.error('No response received:', error.code)
     }
 
     return {
@@ -212,3 +389,127 @@ export async function downloadFile(remotePath, localPath, service) {
     }
   }
 }
+
+// 在服务之间复制文件失败时的错误码，通常是文件服务暂时不可用，可以重试
+export const TRANSFER_FAILED = 'ETRANSFER_FAILED'
+
+/**
+ * 确保文件在指定服务的文件服务上
+ * 文件在其他服务上时先下载再上传到目标服务，返回目标服务上的路径；
+ * 未登记的文件（如旧数据）原样返回
+ * @param {string} remotePath - Remote file path
+ * @param {object} backend - Target backend
+ * @param {number} [holderId] - Backend holding the file when it is not registered
+ * @returns {Promise<string>}
+ */
+export async function ensureOnBackend(remotePath, backend, holderId) {
+  const remoteFile = remotePath && findByRemotePath(remotePath)
+  const holderBackendId = remoteFile ? remoteFile.backend_id : holderId
+  if (!remotePath || !holderBackendId || holderBackendId === backend.id) {
+    return remotePath
+  }
+
+  const holder = selectBackendByID(holderBackendId)
+  if (!holder || holder.file_server_url === backend.file_server_url) {
+    return remotePath
+  }
+
+  const copy = findCopy(remotePath, backend.id)
+  if (copy) {
+    return copy.remote_path
+  }
+
+  log.info(`Copying ${remotePath} from backend ${holder.id} to backend ${backend.id}`)
+  const tempPath = path.join(os.tmpdir(), `transfer_${crypto.randomUUID()}${path.extname(remotePath)}`)
+  try {
+    const downloadResult = await downloadFile(remotePath, tempPath, holder)
+    if (!downloadResult.success) {
+      throw Object.assign(new Error(`Failed to download ${remotePath}: ${downloadResult.error}`), {
+        code: TRANSFER_FAILED
+      })
+    }
+
+    const category = path.dirname(remotePath.replace(/\\/g, '/')).split('/').pop() || 'temp'
+    const uploadResult = await uploadFile(tempPath, backend, category === '.' ? 'temp' : category, {
+      originPath: remotePath
+    })
+    if (!uploadResult.success) {
+      throw Object.assign(new Error(`Failed to upload ${remotePath}: ${uploadResult.error}`), {
+        code: TRANSFER_FAILED
+      })
+    }
+
+    return uploadResult.remotePath
+  } finally {
+    // 临时文件名是随机的，没下载完的部分也不会再续传
+    for (const filePath of [tempPath, `${tempPath}.download`]) {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath)
+      }
+    }
+  }
+}
+
+/**
+ * 删除指定文件服务上的文件，文件已经不存在时也算成功
+ * @param {string} url - File server url
+ * @param {string} remotePath - Remote file path
+ */
+export async function deleteFromFileServer(url, remotePath) {
+  const response = await axios.delete(`${url}/file`, {
+    params: { path: remotePath.replace(/\\/g, '/') },
+    headers: authHeaders(),
+    timeout: gcConfig.timeout,
+    validateStatus: (status) => status === 200 || status === 404
+  })
+  // 不支持删除的旧文件服务返回的是 express 默认的 404 页面
+  if (response.status === 404 && typeof response.data !== 'object') {
+    throw new Error(`File server ${url} does not support deleting files`)
+  }
+  log.info(`Deleted ${remotePath} from ${url}`)
+}
+
+/**
+ * 删除文件服务上的文件，以及复制到其他服务上的副本
+ * @param {string} remotePath - Remote file path
+ * @param {string|object} service - Fallback service key or backend when the file is not registered
+ * @returns {Promise<{success: boolean, error: string}>}
+ */
+export async function deleteRemoteFile(remotePath, service) {
+  const copies = selectCopies(remotePath)
+    .map((copy) => ({ remotePath: copy.remote_path, backend: selectBackendByID(copy.backend_id) }))
+    .filter((copy) => copy.backend)
+    .map((copy) => ({ ...copy, url: copy.backend.file_server_url }))
+  const targets = [{ remotePath, ...locateFileServer(remotePath, service) }, ...copies]
+
+  const errors = []
+  for (const target of targets) {
+    try {
+      if (!target.url) {
+        throw new Error(`Invalid service: ${service}`)
+      }
+      await deleteFromFileServer(target.url, target.remotePath)
+      removeRemoteFile(target.remotePath, target.backend?.id)
+    } catch (error) {
+      log.error(`Failed to delete ${target.remotePath} from ${target.url}:`, error.message)
+      errors.push(error.message)
+    }
+  }
+  return errors.length ? { success: false, error: errors.join('; ') } : { success: true }
+}
+
+/**
+ * 列出文件服务上某个分类目录下的文件
+ * @param {string} url - File server url
+ * @param {string} category - File category
+ * @returns {Promise<Array<{path: string, size: number, mtime: number}>|null>} 文件服务不支持时返回 null
+ */
+export async function listRemoteFiles(url, category) {
+  const response = await axios.get(`${url}/file/list`, {
+    params: { category },
+    headers: authHeaders(),
+    timeout: gcConfig.timeout,
+    validateStatus: (status) => status === 200 || status === 404
+  })
+  return response.status === 200 ? response.data.files : null
+}
@@ -2,14 +2,14 @@ import request from './request.js'
 import { serviceUrl } from '../config/config.js'
 import log from '../logger.js'
 
-export function makeAudio(param) {
+export function makeAudio(param, baseUrl = serviceUrl.tts) {
   log.debug('~ makeAudio ~ param:', JSON.stringify(param))
-  return request.post(`${serviceUrl.tts}/v1/invoke`, param, {
+  return request.post(`${baseUrl}/v1/invoke`, param, {
     responseType: 'arraybuffer'
   })
 }
 
-export function preprocessAndTran(param) {
+export function preprocessAndTran(param, baseUrl = serviceUrl.tts) {
   log.debug('~ preprocessAndTran ~ param:', JSON.stringify(param))
-  return request.post(`${serviceUrl.tts}/v1/preprocess_and_tran`, param)
+  return request.post(`${baseUrl}/v1/preprocess_and_tran`, param)
 }
@@ -48,12 +48,103 @@ export const serviceUrl = {
   ttsFileServer: `http://${TTS_HOST}:18181`
 }
 
+// Synthesis queue configuration
+export const queueConfig = {
+  maxConcurrent: Number(process.env.QUEUE_MAX_CONCURRENT) || 4, // 同时合成的任务总数
+  perBackendLimit: Number(process.env.QUEUE_PER_BACKEND_LIMIT) || 1, // 单个 face2face 服务同时处理的任务数
+  pollInterval: 2000 // 任务状态轮询间隔（毫秒）
+}
+
+// Synthesis retry configuration
+export const retryConfig = {
+  maxAttempts: Number(process.env.RETRY_MAX_ATTEMPTS) || 3, // 单个视频最多合成次数
+  baseDelay: 30000, // 第一次重试前的等待（毫秒），之后按次数翻倍
+  maxDelay: 10 * 60 * 1000 // 重试等待上限（毫秒）
+}
+
+// Default TTS generation parameters, overridable per voice and per video
+export const defaultTtsParam = {
+  topP: 0.7,
+  temperature: 0.7,
+  repetition_penalty: 1.2,
+  chunk_length: 100,
+  is_fixed_seed: 0
+}
+
+// Long script segmentation configuration
+export const segmentConfig = {
+  maxLength: Number(process.env.SEGMENT_MAX_LENGTH) || 120, // 单段文本最大长度
+  pause: Number(process.env.SEGMENT_PAUSE) || 0, // 段与段之间的停顿（毫秒）
+  cacheDir: path.join(app.getPath('userData'), 'temp', 'segment'), // 分段音频缓存
+  cacheMaxAge: Number(process.env.SEGMENT_CACHE_MAX_AGE) || 7 * 24 * 60 * 60 * 1000, // 缓存多久没有使用后删除（毫秒）
+  cacheMaxSize: Number(process.env.SEGMENT_CACHE_MAX_SIZE) || 1024 * 1024 * 1024 // 缓存总大小上限（字节），超出时删除最久没有使用的
+}
+
+// Model video quality check thresholds, overridable in settings
+// fail: 不通过，不能用于训练；warn: 可以训练，但效果可能不好
+export const qualityCheckConfig = {
+  resolution: { fail: 720, warn: 1080 }, // 短边像素，低于阈值
+  fps: { fail: 20, warn: 25 }, // 帧率，低于阈值
+  duration: { fail: 8, warn: 15 }, // 时长（秒），低于阈值
+  loudness: { fail: -45, warn: -30, loud: -10 }, // 整体响度（LUFS），低于 fail/warn 或高于 loud
+  clipping: { warn: -0.5 }, // 音频峰值（dBFS），高于阈值视为削波
+  silence: { fail: 0.6, warn: 0.3, noise: -40 }, // 静音占比，超过阈值；noise 为静音判定音量（dB）
+  black: { fail: 0.2, warn: 0, duration: 0.5 }, // 黑屏占比，超过阈值；duration 为黑屏最短持续时间（秒）
+  sceneCut: { fail: 4, warn: 0, threshold: 0.4 } // 镜头切换次数，超过阈值；threshold 为场景变化分数（0~1）
+}
+
+// Backend health check configuration
+export const healthCheckConfig = {
+  interval: 30000, // 探活间隔（毫秒）
+  timeout: 5000 // 单次探活超时（毫秒）
+}
+
+// Chunked upload configuration, the chunk size is decided by the file server
+export const uploadConfig = {
+  maxRetries: 5, // 单个分片连续失败多少次后放弃
+  retryDelay: 2000 // 分片失败后的等待（毫秒），之后按次数递增
+}
+
+// Local asset cache configuration
+export const assetCacheConfig = {
+  concurrency: Number(process.env.ASSET_DOWNLOAD_CONCURRENCY) || 2, // 同时下载的文件数
+  retryInterval: 30000 // 下载失败后，多久之后列表查询才重新下载（毫秒）
+}
+
+// Garbage collection of files that are no longer referenced
+export const gcConfig = {
+  startDelay: 60 * 1000, // 启动后多久第一次检查（毫秒），定时检查只生成报告，删除需要在设置中确认
+  interval: 24 * 60 * 60 * 1000, // 检查间隔（毫秒）
+  minAge: 7 * 24 * 60 * 60 * 1000, // 文件至少存在多久才会清理（毫秒），避免删除正在创建的模特、视频用到的文件
+  audioAssetTtl: 7 * 24 * 60 * 60 * 1000, // 试听等登记的可复用音频保留多久（毫秒），过期后不再复用，没有视频使用时会被清理
+  categories: ['model', 'origin_audio', 'audio', 'temp'], // 检查文件服务上的哪些分类目录
+  timeout: 10000 // 请求文件服务的超时（毫秒）
+}
+
 // Local paths for temporary file storage
 export const assetPath = {
   model: path.join(app.getPath('userData'), 'temp', 'face2face'), // 模特视频
   ttsProduct: path.join(app.getPath('userData'), 'temp', 'tts'), // TTS 产物
   ttsRoot: path.join(app.getPath('userData'), 'temp', 'voice'), // TTS服务根目录
-  ttsTrain: path.join(app.getPath('userData'), 'temp', 'voice', 'origin_audio') // TTS 训练产物
+  ttsTrain: path.join(app.getPath('userData'), 'temp', 'voice', 'origin_audio'), // TTS 训练产物
+  thumbnail: path.join(app.getPath('userData'), 'temp', 'thumbnail') // 封面和预览
+}
+
+// Thumbnail and preview clip configuration
+export const thumbnailConfig = {
+  posterTime: 1, // 封面取第几秒的画面
+  posterWidth: 480, // 封面宽度（像素）
+  previewDuration: 3, // 预览时长（秒）
+  previewWidth: 320, // 预览宽度（像素）
+  previewFps: 12, // 预览帧率
+  retryInterval: 10 * 60 * 1000 // 生成失败后，多久之后列表查询才重新生成（毫秒）
+}
+
+// File server access control, the token is generated on first run and stored in context
+export const fileServerAuth = {
+  // 允许跨域访问的来源，逗号分隔，'*' 表示全部
+  corsOrigins: (process.env.FILE_SERVER_CORS_ORIGINS || '').split(',').filter(Boolean),
+  signedUrlTtl: 60 * 60 * 1000 // 带签名的下载地址有效期（毫秒）
 }
 
 // File server configuration
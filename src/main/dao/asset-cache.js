@@ -0,0 +1,46 @@
+import { connect } from '../db/index.js'
+
+/**
+ * 记录下载到本地的文件，同一个远程路径只保留一条
+ * @param {string} remote_path 文件服务上的路径
+ * @param {string} local_path 本地路径
+ * @param {number} size 文件大小（字节）
+ * @param {string} checksum 文件的 sha256
+ * @returns
+ */
+export function upsert({ remote_path, local_path, size, checksum }) {
+  const db = connect()
+  const now = Date.now()
+  db.prepare(
+    `insert into asset_cache (remote_path, local_path, size, checksum, last_access_at, created_at)
+      values (?, ?, ?, ?, ?, ?)
+      on conflict (remote_path) do update set local_path = excluded.local_path, size = excluded.size,
+        checksum = excluded.checksum, last_access_at = excluded.last_access_at`
+  ).run(remote_path, local_path, size, checksum, now, now)
+}
+
+export function findByRemotePath(remotePath) {
+  const db = connect()
+  return db
+    .prepare('SELECT * FROM asset_cache WHERE remote_path = ?')
+    .get(remotePath, { silent: true })
+}
+
+export function touch(remotePath) {
+  const db = connect()
+  db.prepare('UPDATE asset_cache SET last_access_at = ? WHERE remote_path = ?').run(
+    Date.now(),
+    remotePath,
+    { silent: true }
+  )
+}
+
+export function removeByRemotePath(remotePath) {
+  const db = connect()
+  db.prepare('DELETE FROM asset_cache WHERE remote_path = ?').run(remotePath)
+}
+
+export function selectAll() {
+  const db = connect()
+  return db.prepare('SELECT * FROM asset_cache').all({ silent: true })
+}
@@ -0,0 +1,68 @@
+import { connect } from '../db/index.js'
+
+/**
+ * 记录可复用的音频
+ * @param {number} voice_id 音色id
+ * @param {string} audio_key 音色、文本和合成参数的 hash
+ * @param {string} remote_path 文件服务上的路径
+ * @returns
+ */
+export function insert({ voice_id, audio_key, remote_path }) {
+  const db = connect()
+  const info = db
+    .prepare(
+      'insert into audio_asset (voice_id, audio_key, remote_path, created_at) values (?, ?, ?, ?)'
+    )
+    .run(voice_id, audio_key, remote_path, Date.now())
+  return info.lastInsertRowid
+}
+
+/**
+ * @param {string} audioKey
+ * @param {number} after 只查询这个时间之后登记的，过期的音频可能已经从文件服务上删除
+ */
+export function findByKey(audioKey, after = 0) {
+  const db = connect()
+  return db
+    .prepare(
+      'SELECT * FROM audio_asset WHERE audio_key = ? AND created_at > ? ORDER BY id DESC LIMIT 1'
+    )
+    .get(audioKey, after, { silent: true })
+}
+
+export function selectByVoiceID(voiceId) {
+  const db = connect()
+  return db.prepare('SELECT * FROM audio_asset WHERE voice_id = ?').all(voiceId)
+}
+
+export function removeByVoiceID(voiceId) {
+  const db = connect()
+  db.prepare('DELETE FROM audio_asset WHERE voice_id = ?').run(voiceId)
+}
+
+export function removeByRemotePath(remotePath) {
+  const db = connect()
+  db.prepare('DELETE FROM audio_asset WHERE remote_path = ?').run(remotePath)
+}
+
+/**
+ * 删除过期的音频记录
+ * @param {number} before 这个时间之前登记的
+ */
+export function removeExpired(before) {
+  const db = connect()
+  return db.prepare('DELETE FROM audio_asset WHERE created_at <= ?').run(before).changes
+}
+
+/**
+ * 还能复用的音频，音色删除后对应的音频不会再被复用
+ * @param {number} after 只查询这个时间之后登记的
+ */
+export function selectPaths(after = 0) {
+  const db = connect()
+  return db
+    .prepare(
+      'SELECT remote_path FROM audio_asset WHERE voice_id IN (SELECT id FROM voice) AND created_at > ?'
+    )
+    .all(after, { silent: true })
+}
@@ -0,0 +1,58 @@
+import { connect } from '../db/index.js'
+
+export function selectAll() {
+  const db = connect()
+  return db.prepare('SELECT * FROM backend ORDER BY type, id').all({ silent: true })
+}
+
+export function selectByType(type) {
+  const db = connect()
+  return db.prepare('SELECT * FROM backend WHERE type = ? ORDER BY id').all(type, { silent: true })
+}
+
+export function selectByID(id) {
+  const db = connect()
+  return db.prepare('SELECT * FROM backend WHERE id = ?').get(id, { silent: true })
+}
+
+/**
+ * 新增服务
+ * @param {string} type 服务类型 face2face / tts
+ * @param {string} name 服务名称
+ * @param {string} url 服务地址
+ * @param {string} file_server_url 文件服务地址
+ * @param {number} max_jobs 同时处理的任务数
+ * @returns
+ */
+export function insert({ type, name, url, file_server_url, max_jobs = 1, enabled = 1 }) {
+  const db = connect()
+  const info = db
+    .prepare(
+      `insert into backend (type, name, url, file_server_url, max_jobs, enabled, created_at)
+       values (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(type, name, url, file_server_url, max_jobs, enabled, Date.now())
+  return info.lastInsertRowid
+}
+
+export function update(backend) {
+  const sets = Object.keys(backend)
+    .map((key) => `${key} = ?`)
+    .join(',')
+  const db = connect()
+  return db
+    .prepare(`UPDATE backend SET ${sets} WHERE id = ?`)
+    .run(...Object.values(backend), backend.id)
+}
+
+export function updateHealth(id, healthy, lastError = null) {
+  const db = connect()
+  db.prepare(
+    'UPDATE backend SET healthy = ?, last_error = ?, last_check_at = ? WHERE id = ?'
+  ).run(healthy ? 1 : 0, lastError, Date.now(), id, { silent: true })
+}
+
+export function remove(id) {
+  const db = connect()
+  db.prepare('DELETE FROM backend WHERE id = ?').run(id)
+}
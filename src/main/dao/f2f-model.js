@@ -1,30 +1,75 @@
 import { connect } from '../db/index.js'
 
-export function insert({ modelName, videoPath, audioPath, voiceId }) {
+export function insert({
+  modelName,
+  videoPath,
+  audioPath,
+  voiceId,
+  status = 'success',
+  job = null,
+  editParam = null
+}) {
   const db = connect()
   const stmt = db.prepare(
-    'INSERT INTO f2f_model (name, video_path, audio_path, voice_id, created_at) VALUES (?, ?, ?, ?, ?)'
+    'INSERT INTO f2f_model (name, video_path, audio_path, voice_id, status, progress, job, edit_param, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
+  )
+  const info = stmt.run(
+    modelName,
+    videoPath,
+    audioPath,
+    voiceId,
+    status,
+    status === 'success' ? 100 : 0,
+    job && JSON.stringify(job),
+    editParam && JSON.stringify(editParam),
+    Date.now()
   )
-  const info = stmt.run(modelName, videoPath, audioPath, voiceId, Date.now())
   return info.lastInsertRowid
 }
 
-export function selectPage({ page, pageSize, name = '' }) {
+export function update(model) {
+  const sets = Object.keys(model)
+    .map((key) => `${key} = ?`)
+    .join(',')
+  const db = connect()
+  return db.prepare(`UPDATE f2f_model SET ${sets} WHERE id = ?`).run(...Object.values(model), model.id)
+}
+
+export function selectByStatus(status) {
+  const db = connect()
+  return db.prepare('SELECT * FROM f2f_model WHERE status = ? ORDER BY id').all(status)
+}
+
+// 按语言和状态筛选，模特的语言取自训练出的音色
+function filterCondition({ lang, status }) {
+  return [lang ? 'AND voice.lang = ?' : '', status ? 'AND f2f_model.status = ?' : ''].join(' ')
+}
+
+function filterParams({ lang, status }) {
+  return [lang, status].filter(Boolean)
+}
+
+export function selectPage({ page, pageSize, name = '', lang = '', status = '' }) {
   const db = connect()
   const offset = (page - 1) * pageSize
   const rows = db
     .prepare(
-      `SELECT * FROM f2f_model WHERE name like '%${name}%' ORDER BY created_at DESC LIMIT ${pageSize} OFFSET ${offset}`
+      `SELECT f2f_model.*, voice.lang FROM f2f_model LEFT JOIN voice ON voice.id = f2f_model.voice_id
+      WHERE f2f_model.name like '%${name}%' ${filterCondition({ lang, status })}
+      ORDER BY f2f_model.created_at DESC LIMIT ${pageSize} OFFSET ${offset}`
     )
-    .all()
+    .all(...filterParams({ lang, status }))
   return rows
 }
 
-export function count(name = '') {
+export function count(name = '', lang = '', status = '') {
   const db = connect()
   const rows = db
-    .prepare(`SELECT COUNT(*) as total FROM f2f_model WHERE name like '%${name}%'`)
-    .get()
+    .prepare(
+      `SELECT COUNT(*) as total FROM f2f_model LEFT JOIN voice ON voice.id = f2f_model.voice_id
+      WHERE f2f_model.name like '%${name}%' ${filterCondition({ lang, status })}`
+    )
+    .get(...filterParams({ lang, status }))
   return rows.total
 }
 
@@ -35,7 +80,27 @@ export function selectByID(id) {
   return row
 }
 
+export function countByVoiceID(voiceId) {
+  const db = connect()
+  const row = db.prepare('SELECT COUNT(*) as total FROM f2f_model WHERE voice_id = ?').get(voiceId)
+  return row.total
+}
+
+export function selectByName(name) {
+  const db = connect()
+  const row = db.prepare('SELECT * FROM f2f_model WHERE name = ? ORDER BY id DESC').get(name)
+  return row
+}
+
 export function remove(id) {
   const db = connect()
   db.prepare(`DELETE FROM f2f_model WHERE id = ?`).run(id)
 }
+
+/**
+ * 所有模特引用的文件，用于清理文件服务上没有引用的文件
+ */
+export function selectPaths() {
+  const db = connect()
+  return db.prepare('SELECT video_path, audio_path, job FROM f2f_model').all({ silent: true })
+}
@@ -0,0 +1,65 @@
+import { connect } from '../db/index.js'
+
+/**
+ * 记录文件所在的服务
+ * @param {number} backend_id 文件服务所属的服务id
+ * @param {string} remote_path 文件服务上的路径
+ * @param {string} origin_path 从其他服务复制过来时，原文件的路径
+ * @returns
+ */
+export function insert({ backend_id, remote_path, origin_path = null }) {
+  const db = connect()
+  const info = db
+    .prepare(
+      'insert into remote_file (backend_id, remote_path, origin_path, created_at) values (?, ?, ?, ?)'
+    )
+    .run(backend_id, remote_path, origin_path, Date.now())
+  return info.lastInsertRowid
+}
+
+export function findByRemotePath(remotePath) {
+  const db = connect()
+  return db
+    .prepare('SELECT * FROM remote_file WHERE remote_path = ? ORDER BY id LIMIT 1')
+    .get(remotePath, { silent: true })
+}
+
+/**
+ * 查询文件在指定服务上的副本
+ */
+export function findCopy(originPath, backendId) {
+  const db = connect()
+  return db
+    .prepare('SELECT * FROM remote_file WHERE origin_path = ? AND backend_id = ? LIMIT 1')
+    .get(originPath, backendId, { silent: true })
+}
+
+export function selectAll() {
+  const db = connect()
+  return db.prepare('SELECT * FROM remote_file').all({ silent: true })
+}
+
+/**
+ * 查询文件在其他服务上的副本
+ */
+export function selectCopies(originPath) {
+  const db = connect()
+  return db.prepare('SELECT * FROM remote_file WHERE origin_path = ?').all(originPath)
+}
+
+/**
+ * 文件从文件服务上删除后删除记录
+ * @param {string} remotePath
+ * @param {number} [backendId] 不传时删除所有服务上的记录
+ */
+export function removeByRemotePath(remotePath, backendId) {
+  const db = connect()
+  if (backendId) {
+    db.prepare('DELETE FROM remote_file WHERE remote_path = ? AND backend_id = ?').run(
+      remotePath,
+      backendId
+    )
+  } else {
+    db.prepare('DELETE FROM remote_file WHERE remote_path = ?').run(remotePath)
+  }
+}
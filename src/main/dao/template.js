@@ -0,0 +1,42 @@
+import { connect } from '../db/index.js'
+
+export function selectAll() {
+  const db = connect()
+  return db.prepare('SELECT * FROM script_template ORDER BY created_at DESC').all({ silent: true })
+}
+
+export function selectByID(id) {
+  const db = connect()
+  return db.prepare('SELECT * FROM script_template WHERE id = ?').get(id)
+}
+
+export function selectByName(name) {
+  const db = connect()
+  return db.prepare('SELECT * FROM script_template WHERE name = ? ORDER BY id DESC').get(name)
+}
+
+/**
+ * 新增文案模板
+ * @param {string} name 模板名称
+ * @param {string} content 模板内容，变量写作 {{name}}
+ * @returns
+ */
+export function insert({ name, content }) {
+  const db = connect()
+  const info = db
+    .prepare('INSERT INTO script_template (name, content, created_at) VALUES (?, ?, ?)')
+    .run(name, content, Date.now())
+  return info.lastInsertRowid
+}
+
+export function update({ id, name, content }) {
+  const db = connect()
+  return db
+    .prepare('UPDATE script_template SET name = ?, content = ? WHERE id = ?')
+    .run(name, content, id)
+}
+
+export function remove(id) {
+  const db = connect()
+  db.prepare('DELETE FROM script_template WHERE id = ?').run(id)
+}
@@ -51,6 +51,16 @@ export function insert(video) {
   return info.lastInsertRowid
 }
 
+/**
+ * 在一个事务中批量新增视频，任一条失败则全部回滚
+ * @param {object[]} videos
+ * @returns {number[]} 新增视频的id
+ */
+export function insertBatch(videos) {
+  const db = connect()
+  return db.transaction(() => videos.map((video) => insert(video)))()
+}
+
 export function remove(id) {
   const db = connect()
   db.prepare(`DELETE FROM video WHERE id = ?`).run(id)
@@ -72,15 +82,62 @@ export function update(video) {
   return info
 }
 
+// 排队顺序：优先级高的在前，同优先级先提交的在前
+const QUEUE_ORDER = 'ORDER BY priority DESC, id'
+
 export function selectByStatus(status) {
   const db = connect()
-  const rows = db.prepare(`SELECT * FROM video WHERE status = ?`).all(status, { silent: true })
+  const rows = db
+    .prepare(`SELECT * FROM video WHERE status = ? ${QUEUE_ORDER}`)
+    .all(status, { silent: true })
   return rows
 }
 
 export function findFirstByStatus(status) {
   const db = connect()
-  const row = db.prepare(`SELECT * FROM video WHERE status = ? LIMIT 1`).get(status, { silent: true })
+  const row = db
+    .prepare(`SELECT * FROM video WHERE status = ? ${QUEUE_ORDER} LIMIT 1`)
+    .get(status, { silent: true })
+  return row
+}
+
+export function maxPriority(status = 'waiting') {
+  const db = connect()
+  const row = db
+    .prepare(`SELECT MAX(priority) as priority FROM video WHERE status = ?`)
+    .get(status, { silent: true })
+  return row.priority || 0
+}
+
+/**
+ * 按给定顺序设置优先级，排在前面的优先级高
+ * 不在列表中的排队视频优先级归零，排在列表中的视频之后
+ * @param {number[]} ids
+ */
+export function updatePriorities(ids) {
+  const db = connect()
+  const reset = db.prepare(`UPDATE video SET priority = 0 WHERE status = 'waiting'`)
+  const stmt = db.prepare(`UPDATE video SET priority = ? WHERE id = ?`)
+  db.transaction(() => {
+    reset.run()
+    ids.forEach((id, index) => stmt.run(ids.length - index, id))
+  })()
+}
+
+/**
+ * 下一个可以开始合成的排队视频，跳过还在重试等待中的
+ * @param {number} now 当前时间戳
+ */
+export function findNextWaiting(now = Date.now()) {
+  const db = connect()
+  const row = db
+    .prepare(
+      `SELECT * FROM video
+      WHERE status = 'waiting' AND (next_retry_at IS NULL OR next_retry_at <= ?)
+      ${QUEUE_ORDER}
+      LIMIT 1`
+    )
+    .get(now, { silent: true })
   return row
 }
 
@@ -96,3 +153,11 @@ export function selectByID(id) {
   const row = db.prepare(`SELECT * FROM video WHERE id = ?`).get(id)
   return row
 }
+
+/**
+ * 所有视频引用的文件，用于清理文件服务上没有引用的文件
+ */
+export function selectPaths() {
+  const db = connect()
+  return db.prepare('SELECT file_path, audio_path FROM video').all({ silent: true })
+}
@@ -0,0 +1,50 @@
+import { connect } from '../db/index.js'
+
+/**
+ * 保存音色参考音频和参考文本的历史版本
+ * @param {object} voice 修改前的音色
+ * @returns
+ */
+export function insert({
+  id,
+  origin_audio_path,
+  asr_format_audio_url,
+  reference_audio_text,
+  backend_id = null
+}) {
+  const db = connect()
+  const info = db
+    .prepare(
+      `insert into voice_version (voice_id, origin_audio_path, asr_format_audio_url, reference_audio_text, backend_id, created_at)
+        values (?, ?, ?, ?, ?, ?)`
+    )
+    .run(id, origin_audio_path, asr_format_audio_url, reference_audio_text, backend_id, Date.now())
+  return info.lastInsertRowid
+}
+
+export function selectByVoiceID(voiceId) {
+  const db = connect()
+  return db
+    .prepare('SELECT * FROM voice_version WHERE voice_id = ? ORDER BY id DESC')
+    .all(voiceId, { silent: true })
+}
+
+export function selectByID(id) {
+  const db = connect()
+  return db.prepare('SELECT * FROM voice_version WHERE id = ?').get(id)
+}
+
+export function removeByVoiceID(voiceId) {
+  const db = connect()
+  db.prepare('DELETE FROM voice_version WHERE voice_id = ?').run(voiceId)
+}
+
+/**
+ * 所有音色版本引用的文件，用于清理文件服务上没有引用的文件
+ */
+export function selectPaths() {
+  const db = connect()
+  return db
+    .prepare('SELECT origin_audio_path, asr_format_audio_url FROM voice_version')
+    .all({ silent: true })
+}
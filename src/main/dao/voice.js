@@ -6,26 +6,90 @@ export function selectAll() {
   return rows
 }
 
-export function insert({ origin_audio_path, lang, asr_format_audio_url, reference_audio_text }) {
+export function insert({
+  origin_audio_path,
+  lang,
+  asr_format_audio_url,
+  reference_audio_text,
+  backend_id = null,
+  name = null
+}) {
   const db = connect()
   const stmt = db.prepare(
-    `insert into voice (origin_audio_path, lang, asr_format_audio_url, reference_audio_text, created_at)
-      values (?,?,?,?,?);`
+    `insert into voice (origin_audio_path, lang, asr_format_audio_url, reference_audio_text, backend_id, name, created_at)
+      values (?,?,?,?,?,?,?);`
   )
   const info = stmt.run(
     origin_audio_path,
     lang,
     asr_format_audio_url,
     reference_audio_text,
+    backend_id,
+    name,
     Date.now()
   )
   const id = info.lastInsertRowid
   return id
 }
 
+export function selectPage({ page, pageSize, name = '' }) {
+  const db = connect()
+  const offset = (page - 1) * pageSize
+  return db
+    .prepare(
+      `SELECT voice.*, (SELECT COUNT(*) FROM f2f_model WHERE f2f_model.voice_id = voice.id) as model_count
+      FROM voice
+      WHERE ifnull(name, '') like ?
+      ORDER BY created_at DESC
+      LIMIT ? OFFSET ?`
+    )
+    .all(`%${name}%`, pageSize, offset, { silent: true })
+}
+
+export function count(name = '') {
+  const db = connect()
+  const row = db
+    .prepare(`SELECT COUNT(*) as total FROM voice WHERE ifnull(name, '') like ?`)
+    .get(`%${name}%`, { silent: true })
+  return row.total
+}
+
+export function update(voice) {
+  const sets = Object.keys(voice)
+    .map((key) => `${key} = ?`)
+    .join(',')
+  const db = connect()
+  return db.prepare(`UPDATE voice SET ${sets} WHERE id = ?`).run(...Object.values(voice), voice.id)
+}
+
+export function remove(id) {
+  const db = connect()
+  db.prepare(`DELETE FROM voice WHERE id = ?`).run(id)
+}
+
 export function selectByID(id) {
   const db = connect()
   const stmt = db.prepare('SELECT * FROM voice WHERE id = ?')
   const row = stmt.get(id)
   return row
 }
+
+/**
+ * 保存音色的默认合成参数
+ * @param {number} id
+ * @param {object} ttsParam
+ */
+export function updateParam(id, ttsParam) {
+  const db = connect()
+  db.prepare('UPDATE voice SET tts_param = ? WHERE id = ?').run(JSON.stringify(ttsParam), id)
+}
+
+/**
+ * 所有音色引用的文件，用于清理文件服务上没有引用的文件
+ */
+export function selectPaths() {
+  const db = connect()
+  return db
+    .prepare('SELECT origin_audio_path, asr_format_audio_url FROM voice')
+    .all({ silent: true })
+}
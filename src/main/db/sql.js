@@ -65,5 +65,165 @@ export default [
         script: `alter table video
                     add voice_id integer;
                 `
+    },
+    {
+        version: 4,
+        script: `create table backend
+                (
+                    id              INTEGER
+                        constraint backend_pk
+                            primary key autoincrement,
+                    type            TEXT,
+                    name            TEXT,
+                    url             TEXT,
+                    file_server_url TEXT,
+                    max_jobs        INTEGER default 1,
+                    enabled         INTEGER default 1,
+                    healthy         INTEGER default 0,
+                    last_check_at   INTEGER,
+                    last_error      TEXT,
+                    created_at      INTEGER
+                );
+
+                create table remote_file
+                (
+                    id          INTEGER
+                        constraint remote_file_pk
+                            primary key autoincrement,
+                    backend_id  INTEGER,
+                    remote_path TEXT,
+                    origin_path TEXT,
+                    created_at  INTEGER
+                );
+
+                create index remote_file_remote_path_index on remote_file (remote_path);
+
+                alter table video
+                    add backend_id integer;
+
+                alter table voice
+                    add backend_id integer;
+                `
+    },
+    {
+        version: 5,
+        script: `alter table video
+                    add attempts integer default 0;
+
+                alter table video
+                    add last_error text;
+
+                alter table video
+                    add next_retry_at integer;
+                `
+    },
+    {
+        version: 6,
+        script: `alter table video
+                    add priority integer default 0;
+                `
+    },
+    {
+        version: 7,
+        script: `create table script_template
+                (
+                    id         INTEGER
+                        constraint script_template_pk
+                            primary key autoincrement,
+                    name       TEXT,
+                    content    TEXT,
+                    created_at INTEGER
+                );
+                `
+    },
+    {
+        version: 8,
+        script: `alter table voice
+                    add tts_param text;
+                `
+    },
+    {
+        version: 9,
+        script: `alter table video
+                    add seed integer;
+                `
+    },
+    {
+        version: 10,
+        script: `create table audio_asset
+                (
+                    id          INTEGER
+                        constraint audio_asset_pk
+                            primary key autoincrement,
+                    voice_id    INTEGER,
+                    audio_key   TEXT,
+                    remote_path TEXT,
+                    created_at  INTEGER
+                );
+
+                create index audio_asset_audio_key_index on audio_asset (audio_key);
+                `
+    },
+    {
+        version: 11,
+        script: `alter table voice
+                    add name text;
+                `
+    },
+    {
+        version: 12,
+        script: `create table voice_version
+                (
+                    id                   INTEGER
+                        constraint voice_version_pk
+                            primary key autoincrement,
+                    voice_id             INTEGER,
+                    origin_audio_path    TEXT,
+                    asr_format_audio_url TEXT,
+                    reference_audio_text TEXT,
+                    backend_id           INTEGER,
+                    created_at           INTEGER
+                );
+
+                create index voice_version_voice_id_index on voice_version (voice_id);
+                `
+    },
+    {
+        version: 13,
+        script: `alter table f2f_model
+                    add status text default 'success';
+                alter table f2f_model
+                    add step text;
+                alter table f2f_model
+                    add progress integer default 100;
+                alter table f2f_model
+                    add message text;
+                alter table f2f_model
+                    add job text;
+                `
+    },
+    {
+        version: 14,
+        script: `alter table f2f_model
+                    add edit_param text;
+                `
+    },
+    {
+        version: 15,
+        script: `create table asset_cache
+                (
+                    id             INTEGER
+                        constraint asset_cache_pk
+                            primary key autoincrement,
+                    remote_path    TEXT,
+                    local_path     TEXT,
+                    size           INTEGER,
+                    checksum       TEXT,
+                    last_access_at INTEGER,
+                    created_at     INTEGER
+                );
+
+                create unique index asset_cache_remote_path_index on asset_cache (remote_path);
+                `
     }
 ]
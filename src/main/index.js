@@ -7,9 +7,11 @@ import { registerHandler } from './service/index.js'
 import { init as initInterval } from './interval/interval.js'
 import { registerWebHandles } from './handlers'
 import { initFileServers } from './server/index.js'
+import { initSettings } from './service/setting.js'
 
-// Initialize database and background tasks
+// Initialize database, saved settings and background tasks
 initDB()
+initSettings()
 initInterval()
 
 // Initialize file servers for remote file transfer
@@ -1,5 +1,21 @@
-import { loopPending } from '../service/video.js'
+import { start as startScheduler } from './scheduler.js'
+import { reconcile } from './recovery.js'
+import { startHealthCheck } from '../service/backend.js'
+import { resumeUnfinishedModels } from '../service/model.js'
+import { startGarbageCollector } from '../service/gc.js'
+import log from '../logger.js'
 export function init() {
-  // 轮询正在合成的视频
-  loopPending()
-}
\ No newline at end of file
+  // 定时探测 face2face / TTS 服务是否可用
+  startHealthCheck()
+
+  // 继续上次退出时未创建完成的模特
+  resumeUnfinishedModels()
+
+  // 先处理上次退出时未完成的任务，再调度合成队列并轮询正在合成的视频
+  reconcile()
+    .catch((error) => log.error('[Recovery] reconcile error:', error.message))
+    .finally(() => startScheduler())
+
+  // 定时清理文件服务和本地缓存中没有引用的文件
+  startGarbageCollector()
+}
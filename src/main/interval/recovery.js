@@ -0,0 +1,77 @@
+import { selectByStatus, update } from '../dao/video.js'
+import { selectByID as selectBackendByID, selectByType } from '../dao/backend.js'
+import { getVideoStatus } from '../api/f2f.js'
+import log from '../logger.js'
+
+function requeue(video, message) {
+  update({ id: video.id, status: 'waiting', code: null, progress: 0, message })
+}
+
+function fail(video, message) {
+  update({ id: video.id, status: 'failed', message, last_error: message, next_retry_at: null })
+}
+
+/**
+ * 检查一个上次退出时仍在合成中的视频
+ * @returns {Promise<'resumed'|'requeued'|'failed'>}
+ */
+async function reconcileVideo(video) {
+  // 程序退出时正在生成音频或提交任务，还没拿到任务code
+  if (!video.code) {
+    requeue(video, '程序退出时任务未提交，已重新排队')
+    return 'requeued'
+  }
+
+  // 旧数据没有记录服务，使用第一个 face2face 服务
+  const backend = selectBackendByID(video.backend_id) || selectByType('face2face')[0]
+  if (!backend) {
+    fail(video, '提交任务的 face2face 服务已被删除')
+    return 'failed'
+  }
+
+  let statusRes
+  try {
+    statusRes = await getVideoStatus(video.code, backend.url)
+  } catch (error) {
+    // 服务暂时连不上，保持合成中，等服务恢复后继续轮询
+    log.warn(`[Recovery] video ${video.id} query ${backend.url} failed:`, error.message)
+    return 'resumed'
+  }
+
+  if (statusRes.code !== 10000) {
+    // 服务端已经没有这个任务（例如服务重启过），重新提交
+    requeue(video, `服务端已无此任务（${statusRes.msg || statusRes.code}），已重新排队`)
+    return 'requeued'
+  }
+  if (statusRes.data?.status === 3) {
+    fail(video, statusRes.data.msg || '合成失败')
+    return 'failed'
+  }
+  // 仍在合成或已完成，交给调度器继续轮询
+  return 'resumed'
+}
+
+/**
+ * 启动时处理上次退出时未完成的合成任务
+ * 任务还在服务端的继续轮询，丢失的重新排队，服务端报错的标记为失败
+ */
+export async function reconcile() {
+  const summary = { resumed: [], requeued: [], failed: [] }
+
+  for (const video of selectByStatus('pending')) {
+    try {
+      summary[await reconcileVideo(video)].push(video.id)
+    } catch (error) {
+      log.error(`[Recovery] video ${video.id} error:`, error.message)
+      requeue(video, '恢复任务失败，已重新排队')
+      summary.requeued.push(video.id)
+    }
+  }
+
+  log.info(
+    `[Recovery] resumed: ${summary.resumed.length} [${summary.resumed}],`,
+    `requeued: ${summary.requeued.length} [${summary.requeued}],`,
+    `failed: ${summary.failed.length} [${summary.failed}]`
+  )
+  return summary
+}
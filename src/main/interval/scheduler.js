@@ -0,0 +1,88 @@
+import { queueConfig } from '../config/config.js'
+import { findNextWaiting, selectByStatus } from '../dao/video.js'
+import { selectByID as selectBackendByID, selectByType } from '../dao/backend.js'
+import { synthesisVideo, pollVideo } from '../service/video.js'
+import { pickBackend, acquire, release as releaseBackend } from '../service/backend.js'
+import log from '../logger.js'
+
+// 正在占用槽位的任务 videoId -> { videoId, backend, timer }
+const jobs = new Map()
+
+function release(job) {
+  clearTimeout(job.timer)
+  jobs.delete(job.videoId)
+  releaseBackend(job.backend)
+  log.info(`[Scheduler] video ${job.videoId} released slot on ${job.backend.url}`)
+}
+
+/**
+ * 单个任务的状态轮询，任务结束后释放槽位
+ */
+async function poll(job) {
+  let finished = false
+  try {
+    finished = await pollVideo(job.videoId, job.backend)
+  } catch (error) {
+    log.error(`[Scheduler] poll video ${job.videoId} error:`, error.message)
+  }
+
+  if (finished) {
+    release(job)
+  } else {
+    job.timer = setTimeout(() => poll(job), queueConfig.pollInterval)
+  }
+}
+
+async function run(videoId, backend, { submit = true } = {}) {
+  const job = { videoId, backend, timer: null }
+  jobs.set(videoId, job)
+  acquire(backend)
+  log.info(`[Scheduler] video ${videoId} took slot on ${backend.url} (${jobs.size}/${queueConfig.maxConcurrent})`)
+
+  if (submit) {
+    await synthesisVideo(videoId, backend)
+  }
+  poll(job)
+}
+
+/**
+ * 按空闲槽位从排队中取出视频，分配给负载最低的健康服务
+ */
+function fillSlots() {
+  while (jobs.size < queueConfig.maxConcurrent) {
+    const backend = pickBackend('face2face')
+    if (!backend) return
+
+    const video = findNextWaiting()
+    if (!video || jobs.has(video.id)) return
+
+    run(video.id, backend)
+  }
+}
+
+function tick() {
+  try {
+    fillSlots()
+  } catch (error) {
+    log.error('[Scheduler] fill slots error:', error.message)
+  }
+  setTimeout(tick, queueConfig.pollInterval)
+}
+
+/**
+ * 启动调度器
+ * 已提交到 face2face 的任务继续在原服务上轮询，然后开始消费排队中的视频
+ */
+export function start() {
+  selectByStatus('pending')
+    .filter((video) => video.code)
+    .forEach((video) => {
+      // 旧数据没有记录服务，使用第一个 face2face 服务
+      const backend = selectBackendByID(video.backend_id) || selectByType('face2face')[0]
+      if (backend) {
+        run(video.id, backend, { submit: false })
+      }
+    })
+
+  tick()
+}
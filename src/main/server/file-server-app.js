@@ -0,0 +1,155 @@
+import express from 'express'
+import multer from 'multer'
+import path from 'path'
+import fs from 'fs'
+import { v4 as uuidv4 } from 'uuid'
+import { registerChunkedUpload } from '../../../deploy/file-server/chunked-upload.mjs'
+import { sendFile } from '../../../deploy/file-server/send-file.mjs'
+import { createAuth } from '../../../deploy/file-server/auth.mjs'
+import { createResolver, PathError } from '../../../deploy/file-server/resolve-path.mjs'
+import { registerFileManagement } from '../../../deploy/file-server/manage-files.mjs'
+
+/**
+ * Create the express app of a file server, without electron dependencies so it can be tested on its own
+ * @param {string} tempDir - Directory to store temporary files
+ * @param {object} options
+ * @param {string|function} options.token - Access token, a function is read on every request
+ * @param {string[]} [options.origins] - Allowed CORS origins
+ * @param {object} [options.log] - Logger, defaults to console
+ * @returns {import('express').Express} Express app
+ */
+export function createFileServerApp(tempDir, { token, origins = [], log = console }) {
+  const app = express()
+
+  // Add middleware to log all requests
+  // 只记录路径，签名下载地址的查询串中有签名，写入日志后可以被他人重复使用
+  app.use((req, res, next) => {
+    log.info(`${req.method} ${req.path}`)
+    next()
+  })
+
+  // Token auth and CORS
+  app.use(createAuth({ token, origins, log }))
+
+  // Create temp directory if it doesn't exist
+  if (!fs.existsSync(tempDir)) {
+    fs.mkdirSync(tempDir, { recursive: true })
+    log.info(`Created temp directory: ${tempDir}`)
+  } else {
+    log.info(`Using existing temp directory: ${tempDir}`)
+  }
+
+  // Confines request paths to tempDir and finds files by id
+  const resolver = createResolver(tempDir, { log })
+
+  // Configure multer for file uploads
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      try {
+        const categoryDir = resolver.categoryDir(req.body.category || 'default')
+
+        if (!fs.existsSync(categoryDir)) {
+          fs.mkdirSync(categoryDir, { recursive: true })
+        }
+
+        cb(null, categoryDir)
+      } catch (error) {
+        cb(error)
+      }
+    },
+    filename: (req, file, cb) => {
+      // Generate a unique filename to avoid collisions
+      const uniqueFilename = `${uuidv4()}${path.extname(file.originalname)}`
+      cb(null, uniqueFilename)
+    }
+  })
+
+  const upload = multer({ storage })
+
+  // Reply with JSON instead of express's default error page when the category is rejected
+  const uploadSingle = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+      if (!error) return next()
+      log.warn('File upload rejected:', error.message)
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Unknown error'
+      })
+    })
+  }
+
+  // File upload endpoint
+  app.post('/file/upload', uploadSingle, (req, res) => {
+    try {
+      log.info('File upload request received')
+      log.info('Request body:', req.body)
+
+      if (!req.file) {
+        log.error('No file in request')
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded'
+        })
+      }
+
+      log.info('File received:', req.file.originalname, 'Size:', req.file.size)
+
+      const category = req.body.category || 'default'
+      const relativePath = path.join(category, req.file.filename)
+
+      log.info('File saved to:', req.file.path)
+      resolver.add(req.file.path)
+
+      const response = {
+        success: true,
+        filePath: relativePath,
+        originalName: req.file.originalname
+      }
+
+      log.info('Sending response:', response)
+      return res.json(response)
+    } catch (error) {
+      log.error('File upload error:', error)
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Unknown error'
+      })
+    }
+  })
+
+  // Chunked, resumable upload endpoints
+  registerChunkedUpload(app, { dataDir: tempDir, resolver, log })
+
+  // Delete and list endpoints, used when models and videos are removed and by the garbage collector
+  registerFileManagement(app, { resolver, log })
+
+  // File download endpoint
+  app.get('/file/download', async (req, res) => {
+    try {
+      const fullPath = resolver.resolve(req.query.path)
+
+      if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
+        log.error(`File not found: ${req.query.path}`)
+        return res.status(404).json({
+          success: false,
+          error: 'File not found'
+        })
+      }
+
+      log.info(`Sending file: ${fullPath}`, req.headers.range || '')
+      return await sendFile(res, fullPath)
+    } catch (error) {
+      if (error instanceof PathError) {
+        log.warn(`Rejected download path: ${req.query.path}`)
+      } else {
+        log.error('File download error:', error)
+      }
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Unknown error'
+      })
+    }
+  })
+
+  return app
+}
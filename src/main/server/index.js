@@ -3,6 +3,9 @@ import { fileServer } from '../config/config.js'
 import log from '../logger.js'
 import fs from 'fs'
 
+// 正在运行的文件服务 name -> http.Server
+const servers = {}
+
 /**
  * Initialize file servers for each service
  */
@@ -14,18 +17,18 @@ export function initFileServers() {
       log.info(`Created directory: ${config.tempDir}`)
     }
   })
-  
+
   // Start file servers
   try {
     // Face2Face file server
-    createFileServer(
+    servers.face2face = createFileServer(
       fileServer.face2face.port,
       fileServer.face2face.tempDir
     )
     log.info(`Face2Face file server started on port ${fileServer.face2face.port}`)
-    
+
     // TTS file server
-    createFileServer(
+    servers.tts = createFileServer(
       fileServer.tts.port,
       fileServer.tts.tempDir
     )
@@ -34,3 +37,26 @@ export function initFileServers() {
     log.error('Failed to start file servers:', error.message)
   }
 }
+
+/**
+ * Restart file servers so that changed directories take effect
+ * @param {() => Promise<void>} [beforeStart] - Runs after the servers are stopped, e.g. to move files
+ */
+export async function restartFileServers(beforeStart) {
+  await Promise.all(
+    Object.keys(servers).map(
+      (name) =>
+        new Promise((resolve) => {
+          servers[name].close(() => resolve())
+          servers[name].closeAllConnections?.()
+          delete servers[name]
+        })
+    )
+  )
+  log.info('File servers stopped, restarting...')
+  try {
+    await beforeStart?.()
+  } finally {
+    initFileServers()
+  }
+}
@@ -0,0 +1,219 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import { assetCacheConfig } from '../config/config.js'
+import { downloadFile } from '../api/file-transfer.js'
+import { upsert, findByRemotePath, touch, removeByRemotePath } from '../dao/asset-cache.js'
+import { notify } from '../util/notify.js'
+import log from '../logger.js'
+
+const MODEL_NAME = 'asset'
+
+// 文件在本地的状态
+export const READY = 'ready'
+export const DOWNLOADING = 'downloading'
+export const FAILED = 'failed'
+export const MISSING = 'missing'
+
+// 远程路径 -> 下载任务
+const tasks = new Map()
+// 等待下载的远程路径，需要立即使用的排在前面
+const queue = []
+// 远程路径 -> 最近一次下载失败的时间
+const failedAt = new Map()
+// 正在补登记的远程路径
+const recording = new Set()
+let running = 0
+// 下载进度的推送间隔（毫秒）
+const PROGRESS_INTERVAL = 500
+
+function sha256(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject)
+  })
+}
+
+/**
+ * 登记本地文件的大小和校验值
+ * @param {string} [checksum] 下载时已经校验过的 sha256
+ */
+async function record(remotePath, localPath, checksum) {
+  const { size } = fs.statSync(localPath)
+  upsert({
+    remote_path: remotePath,
+    local_path: localPath,
+    size,
+    checksum: checksum || (await sha256(localPath))
+  })
+}
+
+/**
+ * 本地文件存在且和登记的大小一致才算可用，大小不一致说明文件不完整
+ */
+function isCached(remotePath, localPath) {
+  if (!fs.existsSync(localPath)) return false
+  const cached = findByRemotePath(remotePath)
+  if (!cached) {
+    // 之前下载的文件还没有登记，补上记录
+    if (!recording.has(remotePath)) {
+      recording.add(remotePath)
+      record(remotePath, localPath)
+        .catch((error) => {
+          log.warn(`Failed to record asset ${remotePath}:`, error.message)
+        })
+        .finally(() => recording.delete(remotePath))
+    }
+    return true
+  }
+  return cached.local_path === localPath && fs.statSync(localPath).size === cached.size
+}
+
+async function download(task) {
+  const { remotePath, localPath, service } = task
+  let notifiedAt = 0
+  const result = await downloadFile(remotePath, localPath, service, {
+    // 大文件的下载进度，限制推送频率
+    onProgress(received, total) {
+      if (Date.now() - notifiedAt < PROGRESS_INTERVAL && received < total) return
+      notifiedAt = Date.now()
+      task.targets.forEach((target) => {
+        notify(MODEL_NAME + '/progress', { ...target, remote_path: remotePath, received, total })
+      })
+    }
+  })
+  if (!result.success) {
+    throw new Error(result.error)
+  }
+  await record(remotePath, localPath, result.checksum)
+}
+
+function next() {
+  while (running < assetCacheConfig.concurrency && queue.length) {
+    const task = tasks.get(queue.shift())
+    running++
+    download(task)
+      .then(() => {
+        failedAt.delete(task.remotePath)
+        task.resolve(task.localPath)
+        task.targets.forEach((target) => {
+          notify(MODEL_NAME + '/ready', {
+            ...target,
+            remote_path: task.remotePath,
+            local_path: task.localPath
+          })
+        })
+      })
+      .catch((error) => {
+        log.error(`Failed to download asset ${task.remotePath}:`, error.message)
+        failedAt.set(task.remotePath, Date.now())
+        task.reject(error)
+      })
+      .finally(() => {
+        tasks.delete(task.remotePath)
+        running--
+        next()
+      })
+  }
+}
+
+/**
+ * 加入下载队列，同一个文件只下载一次
+ * @param {boolean} urgent 需要立即使用的文件排到队列前面
+ */
+function enqueue(remotePath, localPath, service, target, urgent) {
+  let task = tasks.get(remotePath)
+  if (!task) {
+    task = { remotePath, localPath, service, targets: [] }
+    task.promise = new Promise((resolve, reject) => {
+      task.resolve = resolve
+      task.reject = reject
+    })
+    // 列表查询不关心结果，失败时不产生未处理的 rejection
+    task.promise.catch(() => {})
+    tasks.set(remotePath, task)
+    queue.push(remotePath)
+  }
+  if (target) {
+    task.targets.push(target)
+  }
+  if (urgent) {
+    const index = queue.indexOf(remotePath)
+    if (index > 0) {
+      queue.splice(index, 1)
+      queue.unshift(remotePath)
+    }
+  }
+  next()
+  return task
+}
+
+/**
+ * 查询文件在本地的状态，不会触发下载
+ * @param {string} remotePath
+ * @param {string} localPath
+ * @returns {string} ready / downloading / failed / missing
+ */
+export function assetState(remotePath, localPath) {
+  if (!remotePath) return MISSING
+  if (tasks.has(remotePath)) return DOWNLOADING
+  if (isCached(remotePath, localPath)) {
+    touch(remotePath)
+    return READY
+  }
+  return failedAt.has(remotePath) ? FAILED : MISSING
+}
+
+/**
+ * 文件不在本地时在后台下载，立即返回当前状态，下载中推送 asset/progress，完成后推送 asset/ready
+ * 下载失败的文件在 retryInterval 之后才会重新下载
+ * @param {string} remotePath
+ * @param {string} localPath
+ * @param {string|object} service 文件不在登记中时使用的文件服务
+ * @param {object} [target] 推送时带上，用于更新对应的列表项
+ * @returns {string} ready / downloading / failed / missing
+ */
+export function syncAsset(remotePath, localPath, service, target) {
+  if (!remotePath) return MISSING
+  const state = assetState(remotePath, localPath)
+  if (state === READY) {
+    return state
+  }
+  if (state === FAILED && Date.now() - failedAt.get(remotePath) < assetCacheConfig.retryInterval) {
+    return state
+  }
+  enqueue(remotePath, localPath, service, target, false)
+  return DOWNLOADING
+}
+
+/**
+ * 等待文件下载到本地，用于播放、导出等需要完整文件的场景
+ * @param {string} remotePath
+ * @param {string} localPath
+ * @param {string|object} service
+ * @param {object} [target] 下载过程中推送 asset/progress 时带上
+ * @returns {Promise<string>} 本地路径
+ */
+export async function fetchAsset(remotePath, localPath, service, target) {
+  if (assetState(remotePath, localPath) === READY) {
+    return localPath
+  }
+  return enqueue(remotePath, localPath, service, target, true).promise
+}
+
+/**
+ * 删除本地文件和记录
+ * @param {string} remotePath
+ * @param {string} localPath
+ */
+export function removeAsset(remotePath, localPath) {
+  if (localPath && fs.existsSync(localPath)) {
+    fs.unlinkSync(localPath)
+  }
+  if (remotePath) {
+    removeByRemotePath(remotePath)
+    failedAt.delete(remotePath)
+  }
+}
@@ -0,0 +1,237 @@
+import { ipcMain } from 'electron'
+import axios from 'axios'
+import {
+  selectAll,
+  selectByType,
+  selectByID,
+  insert,
+  update,
+  updateHealth,
+  remove as deleteBackend
+} from '../dao/backend.js'
+import { serviceUrl, queueConfig, healthCheckConfig } from '../config/config.js'
+import log from '../logger.js'
+import { getFileServerToken } from './context.js'
+
+const MODEL_NAME = 'backend'
+
+// 每个服务正在处理的任务数 backendId -> count
+const loads = new Map()
+
+// 各类型服务的探活地址
+const probePath = {
+  face2face: '/query?code=health_check',
+  tts: '/v1/health'
+}
+
+// 探测接口的响应体，只有状态码 2xx 不够：端口上的其他 web 服务也会返回 2xx
+const probeCheck = {
+  // 查询不存在的任务也会返回带 code 的 JSON
+  face2face: (data) => typeof data?.code === 'number',
+  tts: (data) => data?.status === 'ok'
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * 没有配置任何服务时，按环境变量中的地址初始化默认服务
+ */
+export function initBackends() {
+  if (selectByType('face2face').length === 0) {
+    insert({
+      type: 'face2face',
+      name: 'face2face',
+      url: serviceUrl.face2face,
+      file_server_url: serviceUrl.face2faceFileServer,
+      max_jobs: queueConfig.perBackendLimit
+    })
+  }
+  if (selectByType('tts').length === 0) {
+    insert({
+      type: 'tts',
+      name: 'tts',
+      url: serviceUrl.tts,
+      file_server_url: serviceUrl.ttsFileServer,
+      max_jobs: queueConfig.perBackendLimit
+    })
+  }
+}
+
+export function getLoad(backend) {
+  return loads.get(backend.id) || 0
+}
+
+export function acquire(backend) {
+  loads.set(backend.id, getLoad(backend) + 1)
+}
+
+export function release(backend) {
+  loads.set(backend.id, Math.max(getLoad(backend) - 1, 0))
+}
+
+/**
+ * 可用（已启用且健康）的服务
+ * @param {string} type face2face / tts
+ */
+export function listAvailable(type) {
+  return selectByType(type).filter((backend) => backend.enabled && backend.healthy)
+}
+
+/**
+ * 选出负载最低且还有空闲槽位的健康服务
+ * @param {string} type face2face / tts
+ * @returns {object|undefined}
+ */
+export function pickBackend(type) {
+  return listAvailable(type)
+    .filter((backend) => getLoad(backend) < backend.max_jobs)
+    .sort((a, b) => getLoad(a) / a.max_jobs - getLoad(b) / b.max_jobs)[0]
+}
+
+// 暂时没有可用服务时的错误码，探活恢复后可以重试
+export const BACKEND_UNAVAILABLE = 'EBACKEND_UNAVAILABLE'
+
+/**
+ * 占用一个服务执行任务，所有服务都满载时等待空闲
+ * @param {string} type face2face / tts
+ * @param {(backend: object) => Promise<any>} task
+ */
+export async function withBackend(type, task) {
+  let backend = pickBackend(type)
+  while (!backend) {
+    if (listAvailable(type).length === 0) {
+      throw Object.assign(new Error(`没有可用的 ${type} 服务`), { code: BACKEND_UNAVAILABLE })
+    }
+    await wait(1000)
+    backend = pickBackend(type)
+  }
+
+  acquire(backend)
+  try {
+    return await task(backend)
+  } finally {
+    release(backend)
+  }
+}
+
+/**
+ * 请求地址，返回 2xx 且响应体符合预期才视为可用
+ * @param {string} url
+ * @param {object} [options]
+ * @param {object} [options.headers]
+ * @param {(data: any) => boolean} [options.check] 检查响应体
+ * @returns {Promise<{healthy: boolean, error: string|null}>}
+ */
+async function probeUrl(url, { headers = {}, check } = {}) {
+  try {
+    const res = await axios.get(url, {
+      headers,
+      timeout: healthCheckConfig.timeout,
+      validateStatus: () => true
+    })
+    // 401 为文件服务的令牌不一致
+    if (res.status < 200 || res.status >= 300) {
+      return { healthy: false, error: `HTTP ${res.status}` }
+    }
+    if (check && !check(res.data)) {
+      return { healthy: false, error: 'Unexpected response' }
+    }
+    return { healthy: true, error: null }
+  } catch (error) {
+    return { healthy: false, error: error.message }
+  }
+}
+
+/**
+ * 探测服务是否可用
+ * @param {object} backend
+ */
+export function probe(backend) {
+  return probeUrl(`${backend.url}${probePath[backend.type] || ''}`, {
+    check: probeCheck[backend.type]
+  })
+}
+
+/**
+ * 测试服务和文件服务的连接，不保存结果
+ * @param {object} backend
+ * @returns {Promise<{service: object, fileServer: object}>}
+ */
+export async function testConnection(backend) {
+  const [service, fileServer] = await Promise.all([
+    probe(backend),
+    backend.file_server_url
+      ? probeUrl(`${backend.file_server_url}/file/list?category=default`, {
+          headers: { Authorization: `Bearer ${getFileServerToken()}` },
+          check: (data) => data?.success === true
+        })
+      : { healthy: false, error: 'No file server url' }
+  ])
+  return { service, fileServer }
+}
+
+export async function checkBackend(backend) {
+  const { healthy, error } = await probe(backend)
+  if (!!backend.healthy !== healthy) {
+    log.info(`[Backend] ${backend.type} ${backend.url} is ${healthy ? 'healthy' : 'unhealthy'}`, error || '')
+  }
+  updateHealth(backend.id, healthy, error)
+  return { healthy, error }
+}
+
+export async function checkAll() {
+  const backends = selectAll().filter((backend) => backend.enabled)
+  await Promise.all(backends.map((backend) => checkBackend(backend)))
+}
+
+/**
+ * 启动定时探活
+ */
+export function startHealthCheck() {
+  initBackends()
+
+  const loop = async () => {
+    try {
+      await checkAll()
+    } catch (error) {
+      log.error('[Backend] health check error:', error.message)
+    }
+    setTimeout(loop, healthCheckConfig.interval)
+  }
+  loop()
+}
+
+function list() {
+  return selectAll().map((backend) => ({ ...backend, load: getLoad(backend) }))
+}
+
+async function save({ id, type, name, url, file_server_url, max_jobs = 1, enabled = 1 }) {
+  const backend = { type, name, url, file_server_url, max_jobs: Number(max_jobs), enabled: enabled ? 1 : 0 }
+  if (id) {
+    update({ id, ...backend })
+  } else {
+    id = insert(backend)
+  }
+  await checkBackend(selectByID(id))
+  return id
+}
+
+function removeBackend(id) {
+  deleteBackend(id)
+  loads.delete(id)
+}
+
+export function init() {
+  ipcMain.handle(MODEL_NAME + '/list', () => {
+    return list()
+  })
+  ipcMain.handle(MODEL_NAME + '/save', async (event, ...args) => {
+    return await save(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/remove', (event, ...args) => {
+    return removeBackend(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/test', async (event, ...args) => {
+    return await testConnection(...args)
+  })
+}
@@ -0,0 +1,154 @@
+import { ipcMain } from 'electron'
+import path from 'path'
+import fs from 'fs'
+import { isEmpty } from 'lodash'
+import { parseCSV } from '../util/csv.js'
+import { selectByID as selectF2FModelByID, selectByName as selectF2FModelByName } from '../dao/f2f-model.js'
+import { selectByID as selectVoiceByID } from '../dao/voice.js'
+import { insertBatch } from '../dao/video.js'
+import { selectByID as selectTemplateByID, selectByName as selectTemplateByName } from '../dao/template.js'
+import { renderTemplate } from '../util/template.js'
+import { makeVideo } from './video.js'
+import { copyAudio4Video } from './voice.js'
+import log from '../logger.js'
+
+const MODEL_NAME = 'batch'
+
+/**
+ * 读取脚本文件，支持 CSV（第一行为表头）和 JSON 数组
+ * @param {string} filePath
+ * @returns {{rows: object[], firstLine: number}} firstLine 为第一条数据在文件中的行号
+ */
+function readRows(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8')
+  const ext = path.extname(filePath).toLowerCase()
+
+  if (ext === '.json') {
+    const data = JSON.parse(content)
+    const rows = Array.isArray(data) ? data : data?.rows
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON 文件需要是数组，或包含 rows 数组')
+    }
+    return { rows, firstLine: 1 }
+  }
+  if (ext === '.csv') {
+    return { rows: parseCSV(content), firstLine: 2 }
+  }
+  throw new Error(`不支持的文件类型：${ext}`)
+}
+
+/**
+ * 行文案：指定了模板时使用模板内容，文案中的 {{name}} 用同一行的其他列替换
+ */
+function renderRowText(row, errors) {
+  let text = String(row.text ?? row.text_content ?? '').trim()
+  if (!isEmpty(String(row.template_id ?? '')) || !isEmpty(row.template_name)) {
+    const template = row.template_id
+      ? selectTemplateByID(Number(row.template_id))
+      : selectTemplateByName(String(row.template_name).trim())
+    if (!template) {
+      errors.push(`模板 ${row.template_id || row.template_name} 不存在`)
+      return ''
+    }
+    text = template.content
+  }
+
+  try {
+    return renderTemplate(text, row)
+  } catch (error) {
+    errors.push(error.message)
+    return ''
+  }
+}
+
+/**
+ * 校验一行数据，返回要新增的视频或错误原因
+ * 字段：name, model_id 或 model_name, voice_id（可选，默认使用模特的声音）,
+ * text、template_id / template_name 或 audio_path
+ */
+function validateRow(row, line) {
+  const errors = []
+  const name = String(row.name || '').trim() || `批量视频-${line}`
+  const audioPath = String(row.audio_path || '').trim()
+  const text = audioPath ? '' : renderRowText(row, errors)
+
+  let model
+  if (!isEmpty(String(row.model_id ?? ''))) {
+    model = selectF2FModelByID(Number(row.model_id))
+    if (!model) errors.push(`模特 ${row.model_id} 不存在`)
+  } else if (!isEmpty(row.model_name)) {
+    model = selectF2FModelByName(String(row.model_name).trim())
+    if (!model) errors.push(`模特 ${row.model_name} 不存在`)
+  } else {
+    errors.push('缺少 model_id 或 model_name')
+  }
+  if (model && model.status !== 'success') {
+    errors.push(`模特 ${model.name} 还没有创建完成`)
+  }
+
+  let voiceId = model?.voice_id
+  if (!isEmpty(String(row.voice_id ?? ''))) {
+    voiceId = Number(row.voice_id)
+    if (!selectVoiceByID(voiceId)) errors.push(`声音 ${row.voice_id} 不存在`)
+  }
+
+  if (audioPath) {
+    if (!fs.existsSync(audioPath)) errors.push(`音频文件不存在：${audioPath}`)
+  } else if (!text) {
+    if (errors.length === 0) errors.push('缺少 text 或 audio_path')
+  } else if (!voiceId) {
+    errors.push('没有可用的声音，请填写 voice_id')
+  }
+
+  return {
+    line,
+    name,
+    errors,
+    video: { model_id: model?.id, name, status: 'draft', text_content: text, voice_id: voiceId },
+    audioPath
+  }
+}
+
+/**
+ * 从 CSV / JSON 批量创建视频并加入合成队列
+ * 有错误的行不导入，其余行在一个事务中创建
+ * @param {string} filePath
+ * @returns {Promise<{total: number, imported: object[], errors: object[]}>}
+ */
+async function importBatch(filePath) {
+  const { rows, firstLine } = readRows(filePath)
+  const results = rows.map((row, index) => validateRow(row || {}, firstLine + index))
+
+  // 音频需要先上传到文件服务
+  for (const result of results) {
+    if (result.errors.length || !result.audioPath) continue
+    try {
+      result.video.audio_path = await copyAudio4Video(result.audioPath)
+    } catch (error) {
+      result.errors.push(`上传音频失败：${error.message}`)
+    }
+  }
+
+  const valid = results.filter((result) => result.errors.length === 0)
+  const ids = valid.length ? insertBatch(valid.map((result) => result.video)) : []
+  ids.forEach((id) => makeVideo(id))
+
+  const report = {
+    total: rows.length,
+    imported: valid.map((result, index) => ({ line: result.line, name: result.name, id: ids[index] })),
+    errors: results
+      .filter((result) => result.errors.length)
+      .map(({ line, name, errors }) => ({ line, name, errors }))
+  }
+  log.info(
+    `~ importBatch ~ ${filePath}: ${report.imported.length}/${report.total} imported,`,
+    `${report.errors.length} failed`
+  )
+  return report
+}
+
+export function init() {
+  ipcMain.handle(MODEL_NAME + '/import', async (event, ...args) => {
+    return await importBatch(...args)
+  })
+}
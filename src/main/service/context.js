@@ -1,20 +1,55 @@
 import { ipcMain } from 'electron'
+import crypto from 'crypto'
 import { insert, findByKey, update as updateContext } from '../dao/context.js'
 
 const MODEL_NAME = 'context'
 
+// 配置变更监听 key -> [listener]
+const watchers = {}
+
+/**
+ * 监听配置变更
+ * @param {string} key
+ * @param {(val: string) => void} listener
+ */
+export function watchContext(key, listener) {
+  watchers[key] = (watchers[key] || []).concat(listener)
+}
+
 export function saveContext(key, val) {
   const context = findByKey(key)
-  if (context) {
-    return updateContext(key, val)
-  }
-  return insert(key, val)
+  const info = context ? updateContext(key, val) : insert(key, val)
+  ;(watchers[key] || []).forEach((listener) => listener(val))
+  return info
 }
 
 export function getContext(key) {
   return findByKey(key)
 }
 
+// 文件服务的访问令牌，部署的文件服务需要配置相同的 FILE_SERVER_TOKEN
+export const FILE_SERVER_TOKEN_KEY = 'file_server_token'
+
+// 每个请求都会用到，修改后通过 watchContext 更新
+let fileServerToken = null
+watchContext(FILE_SERVER_TOKEN_KEY, (val) => {
+  fileServerToken = val
+})
+
+/**
+ * 文件服务的访问令牌，第一次使用时生成
+ * @returns {string}
+ */
+export function getFileServerToken() {
+  if (!fileServerToken) {
+    fileServerToken = getContext(FILE_SERVER_TOKEN_KEY)?.val
+  }
+  if (!fileServerToken) {
+    saveContext(FILE_SERVER_TOKEN_KEY, crypto.randomBytes(32).toString('hex'))
+  }
+  return fileServerToken
+}
+
 export function init() {
   ipcMain.handle(MODEL_NAME + '/get', (event, ...args) => {
     return getContext(...args)
@@ -22,4 +57,7 @@ export function init() {
   ipcMain.handle(MODEL_NAME + '/save', (event, ...args) => {
     return saveContext(...args)
   })
+  ipcMain.handle(MODEL_NAME + '/fileServerToken', () => {
+    return getFileServerToken()
+  })
 }
@@ -0,0 +1,267 @@
+import { ipcMain } from 'electron'
+import path from 'path'
+import { gcConfig } from '../config/config.js'
+import { deleteFromFileServer, deleteRemoteFile, listRemoteFiles } from '../api/file-transfer.js'
+import { selectAll as selectBackends } from '../dao/backend.js'
+import { selectPaths as selectModelPaths } from '../dao/f2f-model.js'
+import { selectPaths as selectVideoPaths } from '../dao/video.js'
+import { selectPaths as selectVoicePaths } from '../dao/voice.js'
+import { selectPaths as selectVersionPaths } from '../dao/voice-version.js'
+import {
+  selectPaths as selectAudioAssetPaths,
+  removeExpired as removeExpiredAudioAssets
+} from '../dao/audio-asset.js'
+import { selectAll as selectRemoteFiles, removeByRemotePath } from '../dao/remote-file.js'
+import { selectAll as selectCachedAssets } from '../dao/asset-cache.js'
+import { removeAsset } from './asset.js'
+import log from '../logger.js'
+
+const MODEL_NAME = 'gc'
+
+// 最近一次检查的报告
+let lastReport = null
+// 最近几次检查的报告，按 createdAt 索引：定时检查生成新报告后，用户正在查看的报告仍然可以确认清理
+const reports = new Map()
+const REPORT_HISTORY = 5
+// 正在进行的检查
+let running = null
+
+/**
+ * 按文件名比较：同一个文件在不同服务返回的路径前缀可能不同（如 TTS 服务返回的绝对路径），
+ * 上传和合成产生的文件名都是唯一的，按文件名比较只会多保留，不会误删
+ */
+function fileKey(filePath) {
+  return path.posix.basename(String(filePath).replace(/\\/g, '/'))
+}
+
+function parseJob(value) {
+  try {
+    return JSON.parse(value) || {}
+  } catch (error) {
+    return {}
+  }
+}
+
+/**
+ * 模特、视频、音色、音色版本和可复用音频引用的文件，复制到其他服务上的副本跟随原文件
+ * @returns {Set<string>}
+ */
+function referencedKeys() {
+  const paths = [
+    ...selectModelPaths().flatMap((model) => {
+      // 创建中的模特，文件已经上传但还没有写入 video_path / audio_path
+      const job = parseJob(model.job)
+      return [model.video_path, model.audio_path, job.videoRemotePath, job.audioRemotePath]
+    }),
+    ...selectVideoPaths().flatMap((video) => [video.file_path, video.audio_path]),
+    ...[...selectVoicePaths(), ...selectVersionPaths()].flatMap((voice) => [
+      voice.origin_audio_path,
+      voice.asr_format_audio_url
+    ]),
+    // 过期的可复用音频不再算作引用，没有视频使用时会被清理
+    ...selectAudioAssetPaths(Date.now() - gcConfig.audioAssetTtl).map((asset) => asset.remote_path)
+  ]
+  const keys = new Set(paths.filter(Boolean).map(fileKey))
+  selectRemoteFiles().forEach((file) => {
+    if (file.origin_path && keys.has(fileKey(file.origin_path))) {
+      keys.add(fileKey(file.remote_path))
+    }
+  })
+  return keys
+}
+
+function normalize(remotePath) {
+  return String(remotePath).replace(/\\/g, '/').replace(/^\/+/, '')
+}
+
+/**
+ * 本客户端上传到各文件服务的文件（remote_file 中有记录的）
+ * 服务可能由团队共用，其他成员上传的文件不在本地数据库中，不能当作没有引用的文件删除
+ * @returns {Map<string, Map<string, object>>} 文件服务地址 -> 路径 -> 记录
+ */
+function ownedFiles() {
+  const backends = new Map(selectBackends().map((backend) => [backend.id, backend]))
+  const owned = new Map()
+  selectRemoteFiles().forEach((file) => {
+    const url = backends.get(file.backend_id)?.file_server_url
+    if (!url || !file.remote_path) return
+    if (!owned.has(url)) owned.set(url, new Map())
+    owned.get(url).set(normalize(file.remote_path), file)
+  })
+  return owned
+}
+
+async function scanServer(url, owned, keys, now) {
+  const files = []
+  for (const category of gcConfig.categories) {
+    const list = await listRemoteFiles(url, category)
+    if (!list) {
+      throw new Error('File server does not support listing files')
+    }
+    list.forEach((file) => {
+      const record = owned.get(normalize(file.path))
+      if (record && now - file.mtime > gcConfig.minAge && !keys.has(fileKey(file.path))) {
+        files.push({ ...file, remote_path: record.remote_path })
+      }
+    })
+  }
+  return files
+}
+
+async function scan() {
+  const keys = referencedKeys()
+  const now = Date.now()
+  const report = { createdAt: now, servers: [], local: [] }
+
+  // 只检查本客户端上传过文件的服务
+  for (const [url, owned] of ownedFiles()) {
+    try {
+      report.servers.push({ url, files: await scanServer(url, owned, keys, now) })
+    } catch (error) {
+      log.warn(`[GC] skip file server ${url}:`, error.message)
+      report.servers.push({ url, files: [], error: error.message })
+    }
+  }
+
+  report.local = selectCachedAssets()
+    .filter(
+      (asset) =>
+        now - (asset.last_access_at || asset.created_at) > gcConfig.minAge &&
+        !keys.has(fileKey(asset.remote_path))
+    )
+    .map((asset) => ({ path: asset.local_path, remote_path: asset.remote_path, size: asset.size }))
+  return report
+}
+
+function summarize(files) {
+  return {
+    count: files.length,
+    size: files.reduce((total, file) => total + (file.size || 0), 0)
+  }
+}
+
+/**
+ * 删除确认过的报告中、重新检查后仍然没有引用的文件
+ */
+async function reclaim(confirmed, report) {
+  const reported = new Set([
+    ...confirmed.servers.flatMap((server) =>
+      server.files.map((file) => `${server.url}|${file.path}`)
+    ),
+    ...confirmed.local.map((asset) => `local|${asset.remote_path}`)
+  ])
+  const deleted = []
+
+  for (const server of report.servers) {
+    for (const file of server.files) {
+      if (!reported.has(`${server.url}|${file.path}`)) continue
+      try {
+        await deleteFromFileServer(server.url, file.path)
+        removeByRemotePath(file.remote_path)
+        deleted.push(file)
+      } catch (error) {
+        log.warn(`[GC] failed to delete ${file.path} from ${server.url}:`, error.message)
+      }
+    }
+  }
+  report.local
+    .filter((asset) => reported.has(`local|${asset.remote_path}`))
+    .forEach((asset) => {
+      removeAsset(asset.remote_path, asset.path)
+      deleted.push(asset)
+    })
+  // 过期的可复用音频已经不算引用，记录也一并删除
+  removeExpiredAudioAssets(Date.now() - gcConfig.audioAssetTtl)
+  return deleted
+}
+
+/**
+ * @param {number} [confirmedAt] 用户确认清理的报告的 createdAt，不传时只生成报告
+ */
+async function run(confirmedAt) {
+  let confirmed = null
+  if (confirmedAt) {
+    confirmed = reports.get(confirmedAt)
+    if (!confirmed) {
+      throw new Error('清理报告已过期，请重新扫描')
+    }
+  }
+
+  const report = await scan()
+  const deleted = confirmed ? await reclaim(confirmed, report) : []
+  // 报告中只保留没有删除的文件
+  if (deleted.length) {
+    const removed = new Set(deleted)
+    report.servers.forEach((server) => {
+      server.files = server.files.filter((file) => !removed.has(file))
+    })
+    report.local = report.local.filter((asset) => !removed.has(asset))
+  }
+  const orphans = [...report.servers.flatMap((server) => server.files), ...report.local]
+
+  lastReport = { ...report, ...summarize(orphans), dryRun: !confirmed, deleted: summarize(deleted) }
+  log.info(
+    `[GC] ${orphans.length} unreferenced files (${lastReport.size} bytes), ${deleted.length} deleted` +
+      (confirmed ? '' : ' (dry run)')
+  )
+  reports.set(lastReport.createdAt, lastReport)
+  if (reports.size > REPORT_HISTORY) {
+    reports.delete(reports.keys().next().value)
+  }
+  return lastReport
+}
+
+/**
+ * 检查本客户端上传的文件和本地缓存中没有被引用的文件
+ * 只有用户在设置中确认过报告后才会删除，删除前重新检查，只删除报告中仍然没有引用的文件
+ * @param {number} [confirmedAt] 确认清理的报告的 createdAt，不传时只生成报告
+ * @returns {Promise<object>} 报告
+ */
+export function collectGarbage(confirmedAt) {
+  if (running) {
+    // 确认清理时等正在进行的检查（如定时检查）结束后再执行
+    return confirmedAt ? running.catch(() => {}).then(() => collectGarbage(confirmedAt)) : running
+  }
+  running = run(confirmedAt).finally(() => {
+    running = null
+  })
+  return running
+}
+
+/**
+ * 删除记录后，删除文件服务上不再被引用的文件
+ * 同一个文件可能还被其他记录引用（如模特的音频也是音色的参考音频），这时保留；
+ * 删除失败的文件会出现在存储清理的报告中
+ * @param {Array<[string, string]>} files [远程路径, 文件不在登记中时使用的文件服务]
+ */
+export async function releaseRemoteFiles(files) {
+  const keys = referencedKeys()
+  for (const [remotePath, service] of files) {
+    if (!remotePath || keys.has(fileKey(remotePath))) continue
+    await deleteRemoteFile(remotePath, service)
+  }
+}
+
+/**
+ * 启动定时检查，只生成报告，删除需要用户在设置中确认
+ */
+export function startGarbageCollector() {
+  const loop = async () => {
+    try {
+      await collectGarbage()
+    } catch (error) {
+      log.error('[GC] collect error:', error.message)
+    }
+    setTimeout(loop, gcConfig.interval)
+  }
+  setTimeout(loop, gcConfig.startDelay)
+}
+
+export function init() {
+  ipcMain.handle(MODEL_NAME + '/report', () => {
+    return lastReport
+  })
+  ipcMain.handle(MODEL_NAME + '/collect', (event, ...args) => {
+    return collectGarbage(...args)
+  })
+}
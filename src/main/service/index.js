@@ -2,9 +2,19 @@ import { init as videoResult } from './video.js'
 import { init as model } from './model.js'
 import { init as context } from './context.js'
 import { init as voice } from './voice.js'
+import { init as backend } from './backend.js'
+import { init as setting } from './setting.js'
+import { init as batch } from './batch.js'
+import { init as template } from './template.js'
+import { init as gc } from './gc.js'
 export function registerHandler() {
   videoResult()
   model()
   context()
   voice()
+  backend()
+  setting()
+  batch()
+  template()
+  gc()
 }
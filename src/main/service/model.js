@@ -3,182 +3,422 @@ import fs from 'fs'
 import path from 'path'
 import dayjs from 'dayjs'
 import { isEmpty } from 'lodash'
-import { insert, selectPage, count, selectByID, remove as deleteModel } from '../dao/f2f-model.js'
+import {
+  insert,
+  update,
+  selectPage,
+  count,
+  selectByID,
+  selectByStatus,
+  remove as deleteModel
+} from '../dao/f2f-model.js'
 import { train as trainVoice } from './voice.js'
-import { assetPath, serviceUrl } from '../config/config.js'
+import { assetPath, serviceUrl, qualityCheckConfig } from '../config/config.js'
 import log from '../logger.js'
-import { extractAudio } from '../util/ffmpeg.js'
-import { uploadFile, downloadFile } from '../api/file-transfer.js'
+import { extractAudio, probe, analyzeVideo, processVideo } from '../util/ffmpeg.js'
+import { evaluateQuality, FAIL } from '../util/quality.js'
+import { uploadFile } from '../api/file-transfer.js'
+import { notify } from '../util/notify.js'
+import { getThumbnail, removeThumbnail } from './thumbnail.js'
+import { assetState, syncAsset, fetchAsset, removeAsset, READY, MISSING } from './asset.js'
+import { releaseRemoteFiles } from './gc.js'
 const MODEL_NAME = 'model'
 
+// 质量检测结果，同一个文件、同样的剪辑参数不重复分析
+const checkCache = new Map()
+
+// 帧率形如 30000/1001
+function parseFrameRate(rate) {
+  const [num, den = 1] = String(rate || '0').split('/').map(Number)
+  return den ? num / den : 0
+}
+
 /**
- * 新增模特
- * @param {string} modelName 模特名称
- * @param {string} videoPath 模特视频路径
- * @returns
+ * 训练前检测模特视频的质量：分辨率、帧率、时长、响度、削波、静音、黑屏和镜头切换
+ * 有剪辑参数时只检测剪辑后用于训练的部分
+ * @param {string} videoPath 本地视频路径
+ * @param {object} [edit] 剪辑参数，见 normalizeEdit
+ * @returns {Promise<{status: string, items: object[]}>} status 为 pass / warn / fail
  */
-async function addModel(modelName, videoPath) {
-  if (!fs.existsSync(assetPath.model)) {
-    fs.mkdirSync(assetPath.model, {
-      recursive: true
-    })
+async function checkVideo(videoPath, edit = null) {
+  videoPath = videoPath.replace(/^file:\/\//, '')
+  const video = await probeVideo(videoPath)
+  const editParam = normalizeEdit(edit, video)
+  const cacheKey = `${videoPath}:${fs.statSync(videoPath).mtimeMs}:${JSON.stringify(editParam)}`
+  if (checkCache.has(cacheKey)) {
+    return checkCache.get(cacheKey)
   }
 
-  // Generate a unique filename
-  const extname = path.extname(videoPath)
-  const modelFileName = dayjs().format('YYYYMMDDHHmmssSSS') + extname
-  const modelPath = path.join(assetPath.model, modelFileName)
+  const data = await probe(videoPath)
+  const videoStream = data.streams.find((item) => item.codec_type === 'video')
+  const hasAudio = data.streams.some((item) => item.codec_type === 'audio')
+  const start = editParam?.start || 0
+  const end = editParam?.end || video.duration
+  const crop = editParam?.crop || null
+
+  // 剪辑后的分辨率和帧率，只会缩小、降低，放大不会提高质量
+  let { width, height } = crop || video
+  const scale = editParam?.resolution ? editParam.resolution / Math.min(width, height) : 1
+  if (scale < 1) {
+    width = Math.round(width * scale)
+    height = Math.round(height * scale)
+  }
+  let fps = parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate)
+  if (editParam?.fps) {
+    fps = Math.min(fps, editParam.fps)
+  }
+
+  const analysis = await analyzeVideo(videoPath, {
+    audio: hasAudio,
+    start,
+    end,
+    crop,
+    silenceNoise: qualityCheckConfig.silence.noise,
+    sceneThreshold: qualityCheckConfig.sceneCut.threshold,
+    blackDuration: qualityCheckConfig.black.duration
+  })
 
-  // Copy video to local temp directory
-  fs.copyFileSync(videoPath, modelPath)
+  const report = evaluateQuality(
+    {
+      width,
+      height,
+      fps,
+      duration: end - start,
+      hasAudio,
+      ...analysis
+    },
+    qualityCheckConfig
+  )
+  log.info(`Quality check of ${videoPath}: ${report.status}`)
+  checkCache.set(cacheKey, report)
+  return report
+}
 
-  // Extract audio from video
-  if (!fs.existsSync(assetPath.ttsTrain)) {
-    fs.mkdirSync(assetPath.ttsTrain, {
-      recursive: true
-    })
+// 创建模特的步骤，progress 为完成该步骤后的进度
+const STEPS = [
+  { name: 'copy', progress: 5 },
+  { name: 'process', progress: 20 },
+  { name: 'extract', progress: 25 },
+  { name: 'uploadVideo', progress: 50 },
+  { name: 'uploadAudio', progress: 60 },
+  { name: 'train', progress: 95 },
+  { name: 'insert', progress: 100 }
+]
+
+// 正在执行的创建任务
+const runningJobs = new Set()
+
+function parseJob(value) {
+  try {
+    return JSON.parse(value) || {}
+  } catch (error) {
+    return {}
   }
+}
 
-  const audioPath = path.join(assetPath.ttsTrain, modelFileName.replace(extname, '.wav'))
-  await extractAudio(modelPath, audioPath)
+/**
+ * 上传创建过程中生成的文件
+ * job 中的文件路径在重试和重启后不变，中断的分片上传可以从断点继续，不用复制临时文件
+ * @returns {Promise<string>} 文件服务上的路径
+ */
+async function uploadJobFile(filePath, service, category) {
+  const uploadResult = await uploadFile(filePath, service, category)
+  if (!uploadResult.success) {
+    log.error(`Failed to upload ${filePath}: ${uploadResult.error}`)
+    throw new Error(`Failed to upload ${path.basename(filePath)}: ${uploadResult.error}`)
+  }
+  log.info(`Upload successful. Remote path: ${uploadResult.remotePath}`)
+  return uploadResult.remotePath
+}
 
-  // Upload video file to face2face server
-  log.info('Uploading video file to face2face server...')
-  let videoUploadResult;
-  try {
-    // Create a copy of the file with a unique name to ensure it's properly saved
-    const tempDir = require('os').tmpdir()
-    const uniqueFileName = `model_${crypto.randomUUID()}${extname}`
-    const tempFilePath = path.join(tempDir, uniqueFileName)
-
-    log.info(`Copying video file to temp location: ${tempFilePath}`)
-    fs.copyFileSync(modelPath, tempFilePath)
-
-    // Upload the video file
-    videoUploadResult = await uploadFile(tempFilePath, 'face2faceFileServer', 'model')
-    if (!videoUploadResult.success) {
-      log.error(`Failed to upload video: ${videoUploadResult.error}`)
-      throw new Error(`Failed to upload video: ${videoUploadResult.error}`)
+// 每个步骤把产物记录到 job 上，失败后从未完成的步骤继续
+const STEP_HANDLERS = {
+  // 复制视频到本地目录
+  async copy(job) {
+    if (!fs.existsSync(assetPath.model)) {
+      fs.mkdirSync(assetPath.model, { recursive: true })
     }
-    log.info(`Video upload successful. Remote path: ${videoUploadResult.remotePath}`)
-  } catch (error) {
-    log.error('Error during video upload:', error)
-    throw error
+    const modelFileName = dayjs().format('YYYYMMDDHHmmssSSS') + path.extname(job.sourcePath)
+    job.modelPath = path.join(assetPath.model, modelFileName)
+    fs.copyFileSync(job.sourcePath, job.modelPath)
+  },
+  // 按剪辑参数重新编码，没有剪辑参数时跳过
+  async process(job, id) {
+    const edit = JSON.parse(selectByID(id).edit_param || 'null')
+    if (!edit) return
+    const outputPath = path.join(
+      path.dirname(job.modelPath),
+      path.basename(job.modelPath, path.extname(job.modelPath)) + '_edit.mp4'
+    )
+    await processVideo(job.modelPath, outputPath, edit)
+    fs.unlinkSync(job.modelPath)
+    job.modelPath = outputPath
+  },
+  // 提取音频用于训练音色
+  async extract(job) {
+    if (!fs.existsSync(assetPath.ttsTrain)) {
+      fs.mkdirSync(assetPath.ttsTrain, { recursive: true })
+    }
+    const extname = path.extname(job.modelPath)
+    job.audioPath = path.join(
+      assetPath.ttsTrain,
+      path.basename(job.modelPath).replace(extname, '.wav')
+    )
+    await extractAudio(job.modelPath, job.audioPath)
+  },
+  async uploadVideo(job) {
+    job.videoRemotePath = await uploadJobFile(job.modelPath, 'face2faceFileServer', 'model')
+  },
+  async uploadAudio(job) {
+    job.audioRemotePath = await uploadJobFile(job.audioPath, 'ttsFileServer', 'origin_audio')
+  },
+  async train(job, id) {
+    // 上次已经保存了音色，只是没来得及完成这一步
+    if (job.voiceId) return
+    const voiceId = await trainVoice(
+      // For development testing
+      process.env.NODE_ENV === 'development' ? 'origin_audio/test.wav' : job.audioRemotePath,
+      job.lang,
+      null,
+      {
+        // 音色保存后立即记录到 job，重试时不再重复训练
+        onInserted(voiceId) {
+          job.voiceId = voiceId
+          update({ id, job: JSON.stringify(job) })
+        }
+      }
+    )
+    if (!voiceId) {
+      throw new Error('音色训练失败')
+    }
+    job.voiceId = Number(voiceId)
+  },
+  // 保存远程路径和音色
+  async insert(job, id) {
+    update({
+      id,
+      video_path: String(job.videoRemotePath), // Remote path on face2face server
+      audio_path: String(job.audioRemotePath), // Remote path on TTS server
+      voice_id: job.voiceId
+    })
+  }
+}
+
+/**
+ * 更新创建进度并推送给渲染进程
+ */
+function updateJob(id, fields) {
+  update({ id, ...fields })
+  const model = selectByID(id)
+  if (model) {
+    const { status, step, progress, message } = model
+    notify(MODEL_NAME + '/progress', { id, status, step, progress, message })
   }
+}
 
-  // Upload audio file to TTS server
-  log.info('Uploading audio file to TTS server...')
-  let audioUploadResult;
+/**
+ * 按步骤在后台创建模特，已完成的步骤不再重复执行
+ * @param {number} id
+ */
+async function runJob(id) {
+  if (runningJobs.has(id)) return
+  runningJobs.add(id)
   try {
-    // Create a copy of the file with a unique name to ensure it's properly saved
-    const tempDir = require('os').tmpdir()
-    const uniqueFileName = `audio_${crypto.randomUUID()}.wav`
-    const tempFilePath = path.join(tempDir, uniqueFileName)
-
-    log.info(`Copying audio file to temp location: ${tempFilePath}`)
-    fs.copyFileSync(audioPath, tempFilePath)
-
-    // Upload the audio file
-    audioUploadResult = await uploadFile(tempFilePath, 'ttsFileServer', 'origin_audio')
-    if (!audioUploadResult.success) {
-      log.error(`Failed to upload audio: ${audioUploadResult.error}`)
-      throw new Error(`Failed to upload audio: ${audioUploadResult.error}`)
+    const job = parseJob(selectByID(id)?.job)
+    job.done = job.done || []
+    for (const step of STEPS) {
+      if (job.done.includes(step.name)) continue
+      // 创建过程中模特被删除
+      if (!selectByID(id)) return
+
+      log.info(`Model ${id} step: ${step.name}`)
+      updateJob(id, { step: step.name })
+      await STEP_HANDLERS[step.name](job, id)
+      job.done.push(step.name)
+      updateJob(id, { job: JSON.stringify(job), progress: step.progress })
     }
-    log.info(`Audio upload successful. Remote path: ${audioUploadResult.remotePath}`)
+    updateJob(id, { status: 'success', step: null, message: null })
+    log.info(`Model ${id} created`)
   } catch (error) {
-    log.error('Error during audio upload:', error)
-    throw error
+    log.error(`Model ${id} failed:`, error)
+    if (selectByID(id)) {
+      updateJob(id, { status: 'failed', message: error.message })
+    }
+  } finally {
+    runningJobs.delete(id)
   }
+}
 
-  // Train voice model using the uploaded audio
-  let voiceId
-  if (process.env.NODE_ENV === 'development') {
-    // For development testing
-    voiceId = await trainVoice('origin_audio/test.wav', 'zh')
-  } else {
-    // Use the remote path returned from the upload
-    voiceId = await trainVoice(audioUploadResult.remotePath, 'zh')
+/**
+ * 视频画面的显示尺寸（已按旋转角度交换宽高）和时长
+ */
+async function probeVideo(videoPath) {
+  const data = await probe(videoPath)
+  const stream = data.streams.find((item) => item.codec_type === 'video')
+  if (!stream) {
+    throw new Error('No video stream found')
   }
+  const rotation = Number(
+    stream.tags?.rotate ?? stream.side_data_list?.find((item) => 'rotation' in item)?.rotation ?? 0
+  )
+  const rotated = Math.abs(rotation) % 180 === 90
+  return {
+    width: rotated ? stream.height : stream.width,
+    height: rotated ? stream.width : stream.height,
+    duration: Number(data.format.duration) || Number(stream.duration) || 0
+  }
+}
 
-  // Insert model info to database
-  // Store both local and remote paths
-  log.info('Inserting model info to database...')
-  log.info('Model name:', modelName)
-  log.info('Video path:', videoUploadResult.remotePath)
-  log.info('Audio path:', audioUploadResult.remotePath)
-  log.info('Voice ID:', voiceId)
+/**
+ * 校验剪辑参数，裁剪区域按编码要求取偶数
+ * @param {object} edit start, end, crop, resolution, fps
+ * @param {{width: number, height: number, duration: number}} video
+ * @returns {object|null} 不需要剪辑时返回 null
+ */
+function normalizeEdit(edit, video) {
+  if (!edit) return null
+  const even = (value) => Math.floor(Number(value) / 2) * 2
+
+  const start = Math.max(0, Number(edit.start) || 0)
+  const end = Math.min(video.duration, Number(edit.end) || video.duration)
+  if (end <= start) {
+    throw new Error('出点必须晚于入点')
+  }
 
-  // Ensure all values are of the correct type for SQLite
-  const modelData = {
-    modelName: String(modelName),
-    videoPath: String(videoUploadResult.remotePath), // Remote path on face2face server
-    audioPath: String(audioUploadResult.remotePath), // Remote path on TTS server
-    voiceId: Number(voiceId)
+  let crop = null
+  if (edit.crop) {
+    crop = {
+      x: even(edit.crop.x),
+      y: even(edit.crop.y),
+      width: even(edit.crop.width),
+      height: even(edit.crop.height)
+    }
+    if (
+      crop.width <= 0 ||
+      crop.height <= 0 ||
+      crop.x < 0 ||
+      crop.y < 0 ||
+      crop.x + crop.width > video.width ||
+      crop.y + crop.height > video.height
+    ) {
+      throw new Error('裁剪区域超出视频画面')
+    }
+    // 裁剪整个画面等于不裁剪
+    if (crop.width >= even(video.width) && crop.height >= even(video.height)) {
+      crop = null
+    }
+  }
+
+  const trimmed = start > 0 || end < video.duration
+  const resolution = Number(edit.resolution) || null
+  const fps = Number(edit.fps) || null
+  if (!trimmed && !crop && !resolution && !fps) {
+    return null
   }
+  return { start, end, crop, resolution, fps }
+}
 
-  log.info('Prepared model data:', modelData)
+/**
+ * 新增模特，检测视频质量后在后台创建
+ * @param {string} modelName 模特名称
+ * @param {string} videoPath 模特视频路径
+ * @param {string} lang 视频中说话的语言，用于训练音色
+ * @param {object} edit 上传前的剪辑参数，见 normalizeEdit
+ * @returns {Promise<number>} 模特id，创建进度通过 model/progress 推送
+ */
+async function addModel(modelName, videoPath, lang = 'zh', edit = null) {
+  // 检测剪辑后用于训练的部分
+  const report = await checkVideo(videoPath, edit)
+  if (report.status === FAIL) {
+    throw new Error('模特视频质量检测未通过')
+  }
 
-  const id = insert(modelData)
+  const sourcePath = videoPath.replace(/^file:\/\//, '')
+  const editParam = normalizeEdit(edit, await probeVideo(sourcePath))
 
+  const id = insert({
+    modelName: String(modelName),
+    status: 'pending',
+    job: { sourcePath, lang },
+    editParam
+  })
+  runJob(id)
   return id
 }
 
-async function page({ page, pageSize, name = '' }) {
-  const total = count(name)
+/**
+ * 从失败的步骤继续创建模特
+ * @param {number} id
+ */
+function resumeModel(id) {
+  const model = selectByID(id)
+  if (!model || model.status !== 'failed') {
+    throw new Error(`Model ${id} is not resumable`)
+  }
+  updateJob(id, { status: 'pending', message: null })
+  runJob(id)
+  return true
+}
 
-  // Get models from database
-  const models = selectPage({ page, pageSize, name })
+/**
+ * 启动时继续上次退出时未完成的模特
+ */
+export function resumeUnfinishedModels() {
+  selectByStatus('pending').forEach((model) => {
+    log.info(`Resuming model ${model.id} from step ${model.step}`)
+    runJob(model.id)
+  })
+}
 
-  // For each model, download the files if they don't exist locally
-  const modelPromises = models.map(async (model) => {
-    // Local paths where we'll store the downloaded files
-    const localVideoPath = path.join(assetPath.model, path.basename(model.video_path))
-    const localAudioPath = path.join(assetPath.ttsRoot, path.basename(model.audio_path))
+async function page({ page, pageSize, name = '', lang = '', status = '' }) {
+  const total = count(name, lang, status)
 
-    // Download video if it doesn't exist locally
-    if (!fs.existsSync(localVideoPath)) {
-      try {
-        const videoDownloadResult = await downloadFile(
-          model.video_path,
-          localVideoPath,
-          'face2faceFileServer'
-        )
-        if (!videoDownloadResult.success) {
-          log.error(`Failed to download video: ${videoDownloadResult.error}`)
-        }
-      } catch (error) {
-        log.error(`Error downloading video: ${error.message}`)
+  // Get models from database
+  const models = selectPage({ page, pageSize, name, lang, status })
+
+  // 不等待下载，返回文件的状态：音频在后台下载，视频只在预览、做视频时下载（findModel）
+  const list = models.map((model) => {
+    // 还在创建的模特没有远程文件，使用复制到本地的视频
+    if (model.status !== 'success') {
+      const { modelPath } = parseJob(model.job)
+      const hasLocalVideo = modelPath && fs.existsSync(modelPath)
+      return {
+        ...model,
+        ...(hasLocalVideo
+          ? getThumbnail({ source: modelPath, localPath: modelPath }, { type: 'model', id: model.id })
+          : { thumbnail_path: '', preview_path: '' }),
+        video_path: hasLocalVideo ? modelPath : '',
+        video_state: hasLocalVideo ? READY : MISSING,
+        audio_path: '',
+        audio_state: MISSING
       }
     }
 
-    // Download audio if it doesn't exist locally
-    if (!fs.existsSync(localAudioPath)) {
-      try {
-        const audioDownloadResult = await downloadFile(
-          model.audio_path,
-          localAudioPath,
-          'ttsFileServer'
-        )
-        if (!audioDownloadResult.success) {
-          log.error(`Failed to download audio: ${audioDownloadResult.error}`)
-        }
-      } catch (error) {
-        log.error(`Error downloading audio: ${error.message}`)
-      }
-    }
+    // Local paths where we'll store the downloaded files
+    const localVideoPath = path.join(assetPath.model, path.basename(model.video_path))
+    const localAudioPath = path.join(assetPath.ttsRoot, path.basename(model.audio_path))
 
     return {
       ...model,
+      ...getThumbnail(
+        { source: model.video_path, localPath: localVideoPath, service: 'face2faceFileServer' },
+        { type: 'model', id: model.id }
+      ),
       video_path: localVideoPath,
-      audio_path: localAudioPath
+      video_state: assetState(model.video_path, localVideoPath),
+      audio_path: localAudioPath,
+      // 音频文件较小，试听音色时使用
+      audio_state: syncAsset(model.audio_path, localAudioPath, 'ttsFileServer', {
+        type: 'model',
+        id: model.id,
+        field: 'audio_path'
+      })
     }
   })
 
-  const processedModels = await Promise.all(modelPromises)
-
   return {
     total,
-    list: processedModels
+    list
   }
 }
 
@@ -205,49 +445,16 @@ async function findModel(modelId) {
   const localVideoPath = model.video_path ? path.join(assetPath.model, path.basename(model.video_path)) : null
   const localAudioPath = model.audio_path ? path.join(assetPath.ttsRoot, path.basename(model.audio_path)) : null
 
-  log.info(`Local video path: ${localVideoPath}`)
-  log.info(`Local audio path: ${localAudioPath}`)
-
-  // Download video if it doesn't exist locally and we have a path
-  if (model.video_path && !fs.existsSync(localVideoPath)) {
-    log.info(`Video file doesn't exist locally, downloading from server...`)
-    try {
-      const videoDownloadResult = await downloadFile(
-        model.video_path,
-        localVideoPath,
-        'face2faceFileServer'
-      )
-      if (!videoDownloadResult.success) {
-        log.error(`Failed to download video: ${videoDownloadResult.error}`)
-      } else {
-        log.info(`Video downloaded successfully to ${localVideoPath}`)
-      }
-    } catch (error) {
-      log.error(`Error downloading video: ${error.message}`)
-    }
-  } else if (model.video_path) {
-    log.info(`Video file already exists locally at ${localVideoPath}`)
+  // 等待文件下载到本地，已经在下载的不会重复下载
+  const [videoResult, audioResult] = await Promise.allSettled([
+    model.video_path && fetchAsset(model.video_path, localVideoPath, 'face2faceFileServer'),
+    model.audio_path && fetchAsset(model.audio_path, localAudioPath, 'ttsFileServer')
+  ])
+  if (videoResult.status === 'rejected') {
+    log.error(`Error downloading video: ${videoResult.reason.message}`)
   }
-
-  // Download audio if it doesn't exist locally and we have a path
-  if (model.audio_path && !fs.existsSync(localAudioPath)) {
-    log.info(`Audio file doesn't exist locally, downloading from server...`)
-    try {
-      const audioDownloadResult = await downloadFile(
-        model.audio_path,
-        localAudioPath,
-        'ttsFileServer'
-      )
-      if (!audioDownloadResult.success) {
-        log.error(`Failed to download audio: ${audioDownloadResult.error}`)
-      } else {
-        log.info(`Audio downloaded successfully to ${localAudioPath}`)
-      }
-    } catch (error) {
-      log.error(`Error downloading audio: ${error.message}`)
-    }
-  } else if (model.audio_path) {
-    log.info(`Audio file already exists locally at ${localAudioPath}`)
+  if (audioResult.status === 'rejected') {
+    log.error(`Error downloading audio: ${audioResult.reason.message}`)
   }
 
   return {
@@ -261,22 +468,36 @@ async function removeModel(modelId) {
   const model = selectByID(modelId)
   log.debug('~ removeModel ~ modelId:', modelId)
 
-  // Delete local video file if it exists
-  const localVideoPath = path.join(assetPath.model, path.basename(model.video_path || ''))
-  if (!isEmpty(model.video_path) && fs.existsSync(localVideoPath)) {
-    fs.unlinkSync(localVideoPath)
+  // Delete local files and cache records
+  if (!isEmpty(model.video_path)) {
+    removeAsset(model.video_path, path.join(assetPath.model, path.basename(model.video_path)))
   }
-
-  // Delete local audio file if it exists
-  const localAudioPath = path.join(assetPath.ttsRoot, path.basename(model.audio_path || ''))
-  if (!isEmpty(model.audio_path) && fs.existsSync(localAudioPath)) {
-    fs.unlinkSync(localAudioPath)
+  if (!isEmpty(model.audio_path)) {
+    removeAsset(model.audio_path, path.join(assetPath.ttsRoot, path.basename(model.audio_path)))
   }
 
-  // TODO: Add API endpoints to delete remote files
-  // For now, we'll just delete the database entry
+  removeThumbnail(model.video_path)
+
+  // 创建过程中产生的本地文件
+  const { modelPath, audioPath, videoRemotePath, audioRemotePath } = parseJob(model.job)
+  removeThumbnail(modelPath)
+  for (const filePath of [modelPath, audioPath]) {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath)
+    }
+  }
 
   deleteModel(modelId)
+
+  // 删除文件服务上不再被引用的文件，不等待删除完成
+  releaseRemoteFiles([
+    [model.video_path, 'face2faceFileServer'],
+    [model.audio_path, 'ttsFileServer'],
+    [videoRemotePath, 'face2faceFileServer'],
+    [audioRemotePath, 'ttsFileServer']
+  ]).catch((error) => {
+    log.error(`Failed to delete remote files of model ${modelId}:`, error.message)
+  })
 }
 
 function countModel(name = '') {
@@ -287,6 +508,12 @@ export function init() {
   ipcMain.handle(MODEL_NAME + '/addModel', async (event, ...args) => {
     return await addModel(...args)
   })
+  ipcMain.handle(MODEL_NAME + '/resume', (event, ...args) => {
+    return resumeModel(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/check', async (event, ...args) => {
+    return await checkVideo(...args)
+  })
   ipcMain.handle(MODEL_NAME + '/page', async (event, ...args) => {
     return await page(...args)
   })
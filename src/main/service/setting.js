@@ -0,0 +1,140 @@
+import { ipcMain } from 'electron'
+import fs from 'fs'
+import path from 'path'
+import { isEmpty } from 'lodash'
+import { assetPath, fileServer, qualityCheckConfig } from '../config/config.js'
+import { getContext, watchContext } from './context.js'
+import { restartFileServers } from '../server/index.js'
+import log from '../logger.js'
+
+const MODEL_NAME = 'setting'
+
+// 通过 context/save 保存的配置项
+export const SETTING_KEY = 'settings'
+
+/**
+ * 当前生效的配置
+ */
+export function getSettings() {
+  return {
+    assetPath: { ...assetPath },
+    fileServer: {
+      face2face: { tempDir: fileServer.face2face.tempDir },
+      tts: { tempDir: fileServer.tts.tempDir }
+    },
+    qualityCheck: Object.fromEntries(
+      Object.entries(qualityCheckConfig).map(([name, thresholds]) => [name, { ...thresholds }])
+    )
+  }
+}
+
+function parse(val) {
+  try {
+    return JSON.parse(val || '{}')
+  } catch (error) {
+    log.error('[Setting] invalid settings:', val)
+    return {}
+  }
+}
+
+function isNested(a, b) {
+  const relative = path.relative(path.resolve(a), path.resolve(b))
+  return !relative.startsWith('..') && !path.isAbsolute(relative)
+}
+
+/**
+ * 文件服务目录变化后，把原目录下的文件移到新目录，已经保存的远程路径仍然可用
+ * 新目录下已有同名文件时保留新目录的文件
+ */
+async function moveDataDir(from, to) {
+  if (!fs.existsSync(from)) return
+  await fs.promises.mkdir(to, { recursive: true })
+  for (const name of await fs.promises.readdir(from)) {
+    const source = path.join(from, name)
+    const target = path.join(to, name)
+    if (fs.existsSync(target)) {
+      if (fs.statSync(source).isDirectory() && fs.statSync(target).isDirectory()) {
+        await moveDataDir(source, target)
+      } else {
+        log.warn(`[Setting] ${target} already exists, keeping ${source}`)
+      }
+      continue
+    }
+    try {
+      await fs.promises.rename(source, target)
+    } catch (error) {
+      if (error.code !== 'EXDEV') throw error
+      // 跨磁盘时先复制再删除
+      await fs.promises.cp(source, target, { recursive: true })
+      await fs.promises.rm(source, { recursive: true, force: true })
+    }
+  }
+}
+
+/**
+ * 将配置应用到运行中的程序
+ * @param {object} settings
+ * @returns {Array<{name: string, from: string, to: string}>} 变化的文件服务目录，需要移动文件并重启文件服务
+ */
+function applySettings(settings) {
+  Object.entries(settings.assetPath || {}).forEach(([key, dir]) => {
+    if (key in assetPath && !isEmpty(dir)) {
+      assetPath[key] = dir
+    }
+  })
+
+  // 只覆盖已有的阈值，空值和非数字保留原值
+  Object.entries(settings.qualityCheck || {}).forEach(([name, thresholds]) => {
+    const current = qualityCheckConfig[name]
+    Object.entries(thresholds || {}).forEach(([key, value]) => {
+      const number = value === '' || value === null ? NaN : Number(value)
+      if (current && key in current && Number.isFinite(number)) {
+        current[key] = number
+      }
+    })
+  })
+
+  const moves = []
+  Object.entries(settings.fileServer || {}).forEach(([name, config]) => {
+    if (fileServer[name] && !isEmpty(config?.tempDir) && fileServer[name].tempDir !== config.tempDir) {
+      const from = fileServer[name].tempDir
+      // 新旧目录互相包含时无法移动文件
+      if (isNested(from, config.tempDir) || isNested(config.tempDir, from)) {
+        log.error(`[Setting] ${name} file server directory cannot move between ${from} and ${config.tempDir}`)
+        return
+      }
+      fileServer[name].tempDir = config.tempDir
+      moves.push({ name, from, to: config.tempDir })
+    }
+  })
+
+  log.info('[Setting] applied:', getSettings())
+  return moves
+}
+
+/**
+ * 启动时加载保存的配置，并在配置保存后立即生效
+ */
+export function initSettings() {
+  applySettings(parse(getContext(SETTING_KEY)?.val))
+
+  watchContext(SETTING_KEY, (val) => {
+    const moves = applySettings(parse(val))
+    if (moves.length) {
+      restartFileServers(async () => {
+        for (const { name, from, to } of moves) {
+          log.info(`[Setting] moving ${name} files from ${from} to ${to}`)
+          await moveDataDir(from, to)
+        }
+      }).catch((error) => {
+        log.error('[Setting] move files or restart file servers error:', error.message)
+      })
+    }
+  })
+}
+
+export function init() {
+  ipcMain.handle(MODEL_NAME + '/get', () => {
+    return getSettings()
+  })
+}
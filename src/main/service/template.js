@@ -0,0 +1,39 @@
+import { ipcMain } from 'electron'
+import { isEmpty } from 'lodash'
+import { selectAll, insert, update, remove } from '../dao/template.js'
+import { extractVariables, renderTemplate } from '../util/template.js'
+
+const MODEL_NAME = 'template'
+
+function list() {
+  return selectAll().map((template) => ({
+    ...template,
+    variables: extractVariables(template.content)
+  }))
+}
+
+function save({ id, name, content }) {
+  if (isEmpty(name) || isEmpty(content)) {
+    throw new Error('模板名称和内容不能为空')
+  }
+  if (id) {
+    update({ id, name, content })
+    return id
+  }
+  return insert({ name, content })
+}
+
+export function init() {
+  ipcMain.handle(MODEL_NAME + '/list', () => {
+    return list()
+  })
+  ipcMain.handle(MODEL_NAME + '/save', (event, ...args) => {
+    return save(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/remove', (event, ...args) => {
+    return remove(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/render', (event, ...args) => {
+    return renderTemplate(...args)
+  })
+}
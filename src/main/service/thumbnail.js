@@ -0,0 +1,137 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { assetPath, thumbnailConfig } from '../config/config.js'
+import { extractPoster, makePreviewClip } from '../util/ffmpeg.js'
+import { getDownloadUrl } from '../api/file-transfer.js'
+import { notify } from '../util/notify.js'
+import log from '../logger.js'
+
+const MODEL_NAME = 'thumbnail'
+
+// 生成中的文件 -> 等待推送的列表项
+const pending = new Map()
+// 文件 -> 最近一次生成失败的时间
+const failedAt = new Map()
+
+// 一次只生成一个，避免同时启动很多 ffmpeg
+let queue = Promise.resolve()
+
+function cachePaths(source) {
+  const key = crypto.createHash('sha1').update(source).digest('hex')
+  return {
+    thumbnail_path: path.join(assetPath.thumbnail, `${key}.jpg`),
+    preview_path: path.join(assetPath.thumbnail, `${key}.mp4`)
+  }
+}
+
+/**
+ * 先写到临时文件，成功后再改名，失败时不会留下不完整的缓存
+ */
+async function writeAtomically(filePath, write) {
+  const tempPath = filePath.replace(/(\.\w+)$/, '.tmp$1')
+  try {
+    await write(tempPath)
+    if (fs.existsSync(tempPath)) {
+      fs.renameSync(tempPath, filePath)
+    }
+  } finally {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath)
+    }
+  }
+}
+
+async function generate({ source, localPath, service }, paths) {
+  if (!fs.existsSync(assetPath.thumbnail)) {
+    fs.mkdirSync(assetPath.thumbnail, { recursive: true })
+  }
+  // 已经下载过的直接读本地文件，否则从文件服务按需读取
+  const input = localPath && fs.existsSync(localPath) ? localPath : getDownloadUrl(source, service)
+  const { posterTime, posterWidth, previewDuration, previewWidth, previewFps } = thumbnailConfig
+
+  if (!fs.existsSync(paths.thumbnail_path)) {
+    await writeAtomically(paths.thumbnail_path, (output) =>
+      extractPoster(input, output, posterTime, posterWidth)
+    )
+    // 视频比封面时间还短时取第一帧
+    if (!fs.existsSync(paths.thumbnail_path)) {
+      await writeAtomically(paths.thumbnail_path, (output) =>
+        extractPoster(input, output, 0, posterWidth)
+      )
+    }
+  }
+  if (!fs.existsSync(paths.preview_path)) {
+    await writeAtomically(paths.preview_path, (output) =>
+      makePreviewClip(input, output, {
+        duration: previewDuration,
+        width: previewWidth,
+        fps: previewFps
+      })
+    )
+  }
+  // ffmpeg 没有报错但也没有输出时同样算失败，避免每次查询都重新生成
+  if (!fs.existsSync(paths.thumbnail_path) || !fs.existsSync(paths.preview_path)) {
+    throw new Error('No output from ffmpeg')
+  }
+}
+
+/**
+ * 查询视频的封面和预览，没有缓存时在后台生成，生成后推送 thumbnail/ready
+ * 生成失败的视频在 retryInterval 之后才会重新生成
+ * @param {object} file
+ * @param {string} file.source 文件服务上的路径，或者本地路径
+ * @param {string} [file.localPath] 已经下载到本地的文件
+ * @param {string} [file.service] 文件不在登记中时使用的文件服务
+ * @param {{type: string, id: number}} target 推送时带上，用于更新对应的列表项
+ * @returns {{thumbnail_path: string, preview_path: string}} 还没生成的为空字符串
+ */
+export function getThumbnail(file, target) {
+  const paths = cachePaths(file.source)
+  const result = {
+    thumbnail_path: fs.existsSync(paths.thumbnail_path) ? paths.thumbnail_path : '',
+    preview_path: fs.existsSync(paths.preview_path) ? paths.preview_path : ''
+  }
+  if (result.thumbnail_path && result.preview_path) {
+    return result
+  }
+
+  if (pending.has(file.source)) {
+    pending.get(file.source).push(target)
+    return result
+  }
+  if (Date.now() - (failedAt.get(file.source) || 0) < thumbnailConfig.retryInterval) {
+    return result
+  }
+  pending.set(file.source, [target])
+  queue = queue
+    .then(() => generate(file, paths))
+    .then(() => {
+      failedAt.delete(file.source)
+      pending.get(file.source).forEach((item) => {
+        notify(MODEL_NAME + '/ready', { ...item, ...paths })
+      })
+    })
+    .catch((error) => {
+      log.error(`Failed to generate thumbnail of ${file.source}:`, error.message)
+      failedAt.set(file.source, Date.now())
+    })
+    .finally(() => {
+      pending.delete(file.source)
+    })
+  return result
+}
+
+/**
+ * 删除视频的封面和预览
+ * @param {string} source
+ */
+export function removeThumbnail(source) {
+  if (!source) return
+  failedAt.delete(source)
+  Object.values(cachePaths(source)).forEach((filePath) => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath)
+    }
+  })
+}
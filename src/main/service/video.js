@@ -3,8 +3,15 @@ import crypto from 'crypto'
 import path from 'path'
 import fs from 'fs'
 import { isEmpty } from 'lodash'
-import { assetPath, serviceUrl } from '../config/config.js'
-import { selectPage,selectByStatus, updateStatus, remove as deleteVideo, findFirstByStatus } from '../dao/video.js'
+import { assetPath, serviceUrl, retryConfig } from '../config/config.js'
+import {
+  selectPage,
+  selectByStatus,
+  updateStatus,
+  maxPriority,
+  updatePriorities,
+  remove as deleteVideo
+} from '../dao/video.js'
 import { selectByID as selectF2FModelByID } from '../dao/f2f-model.js'
 import { selectByID as selectVoiceByID } from '../dao/voice.js'
 import {
@@ -13,14 +20,39 @@ import {
   update,
   selectByID as selectVideoByID
 } from '../dao/video.js'
-import { makeAudio4Video, copyAudio4Video } from './voice.js'
-import { makeVideo as makeVideoApi,getVideoStatus } from '../api/f2f.js'
+import { makeAudio4Video, copyAudio4Video, randomSeed } from './voice.js'
+import { makeVideo as makeVideoApi, getVideoStatus, stopVideo } from '../api/f2f.js'
 import log from '../logger.js'
 import { getVideoDuration } from '../util/ffmpeg.js'
-import { uploadFile, downloadFile } from '../api/file-transfer.js'
+import { uploadFile, ensureOnBackend, TRANSFER_FAILED } from '../api/file-transfer.js'
+import { insert as insertRemoteFile } from '../dao/remote-file.js'
+import { renderTemplate } from '../util/template.js'
+import { selectByID as selectBackendByID } from '../dao/backend.js'
+import { BACKEND_UNAVAILABLE } from './backend.js'
+import { getThumbnail, removeThumbnail } from './thumbnail.js'
+import { assetState, fetchAsset, removeAsset, READY, MISSING } from './asset.js'
+import { releaseRemoteFiles } from './gc.js'
+import { removeByRemotePath as removeAudioAsset } from '../dao/audio-asset.js'
 
 const MODEL_NAME = 'video'
 
+// face2face 返回的无法通过重试解决的错误码（参数错误）
+const FATAL_CODES = [10002]
+
+// 网络抖动类错误，可以重试
+const RETRYABLE_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ERR_NETWORK',
+  BACKEND_UNAVAILABLE,
+  TRANSFER_FAILED
+]
+
 /**
  * 分页查询合成结果
  * @param {number} page
@@ -35,35 +67,34 @@ async function page({ page, pageSize, name = '' }) {
   // Get videos from database
   const videos = selectPage({ page, pageSize, name })
 
-  // Process each video - download files if needed
-  const videoPromises = videos.map(async (video) => {
+  // 不等待下载，返回文件的状态，完整视频在播放、导出时再下载（findVideo / exportVideo）
+  const list = videos.map((video) => {
     let processedVideo = { ...video }
 
     // If there's a file path and it's a remote path (contains slashes)
     if (video.file_path && video.file_path.includes('/')) {
-      // Local path where we'll store the downloaded file
+      // Local path where the file is stored after downloading
       const localFilePath = path.join(assetPath.model, path.basename(video.file_path))
 
-      // Download if it doesn't exist locally
-      if (!fs.existsSync(localFilePath)) {
-        try {
-          const downloadResult = await downloadFile(
-            video.file_path,
-            localFilePath,
-            'face2faceFileServer'
-          )
-          if (!downloadResult.success) {
-            log.error(`Failed to download video: ${downloadResult.error}`)
-          }
-        } catch (error) {
-          log.error(`Error downloading video: ${error.message}`)
-        }
+      processedVideo = {
+        ...processedVideo,
+        ...getThumbnail(
+          { source: video.file_path, localPath: localFilePath, service: 'face2faceFileServer' },
+          { type: 'video', id: video.id }
+        ),
+        file_path: localFilePath,
+        file_state: assetState(video.file_path, localFilePath)
       }
-
-      processedVideo.file_path = localFilePath
     } else if (video.file_path) {
       // It's a local path reference, construct the full path
-      processedVideo.file_path = path.join(assetPath.model, video.file_path)
+      const localFilePath = path.join(assetPath.model, video.file_path)
+
+      processedVideo = {
+        ...processedVideo,
+        ...getThumbnail({ source: localFilePath, localPath: localFilePath }, { type: 'video', id: video.id }),
+        file_path: localFilePath,
+        file_state: fs.existsSync(localFilePath) ? READY : MISSING
+      }
     }
 
     // Add progress information for waiting videos
@@ -74,11 +105,9 @@ async function page({ page, pageSize, name = '' }) {
     return processedVideo
   })
 
-  const processedVideos = await Promise.all(videoPromises)
-
   return {
     total,
-    list: processedVideos
+    list
   }
 }
 
@@ -91,20 +120,10 @@ async function findVideo(videoId) {
     // Local path where we'll store the downloaded file
     const localFilePath = path.join(assetPath.model, path.basename(video.file_path))
 
-    // Download if it doesn't exist locally
-    if (!fs.existsSync(localFilePath)) {
-      try {
-        const downloadResult = await downloadFile(
-          video.file_path,
-          localFilePath,
-          'face2faceFileServer'
-        )
-        if (!downloadResult.success) {
-          log.error(`Failed to download video: ${downloadResult.error}`)
-        }
-      } catch (error) {
-        log.error(`Error downloading video: ${error.message}`)
-      }
+    try {
+      await fetchAsset(video.file_path, localFilePath, 'face2faceFileServer')
+    } catch (error) {
+      log.error(`Error downloading video: ${error.message}`)
     }
 
     processedVideo.file_path = localFilePath
@@ -120,8 +139,40 @@ function countVideo(name = '') {
   return count(name)
 }
 
-async function saveVideo({ id, model_id, name, text_content, voice_id, audio_path }) {
+function parseParam(value) {
+  if (!value) return {}
+  if (typeof value === 'object') return value
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    return {}
+  }
+}
+
+/**
+ * 保存视频草稿
+ * @param {object} variables 文案中 {{name}} 变量的值，保存前替换到 text_content
+ * @param {object} tts_param 该视频的 TTS 合成参数，覆盖音色的默认参数，保存在 param.tts
+ * @param {number} seed 试听时使用的种子，合成时使用同一个种子
+ */
+async function saveVideo({
+  id,
+  model_id,
+  name,
+  text_content,
+  voice_id,
+  audio_path,
+  variables = {},
+  tts_param = {},
+  seed = null
+}) {
   const video = selectVideoByID(id)
+  const param = { ...parseParam(video?.param), tts: tts_param }
+
+  // 文案中的变量在生成音频前替换掉
+  if (text_content) {
+    text_content = renderTemplate(text_content, variables)
+  }
 
   // If audio path is provided, upload it to the server
   if (audio_path) {
@@ -129,9 +180,18 @@ async function saveVideo({ id, model_id, name, text_content, voice_id, audio_pat
   }
 
   if (video) {
-    return update({ id, model_id, name, text_content, voice_id, audio_path })
+    return update({ id, model_id, name, text_content, voice_id, audio_path, param, seed })
   }
-  return insertVideo({ model_id, name, status: 'draft', text_content, voice_id, audio_path })
+  return insertVideo({
+    model_id,
+    name,
+    status: 'draft',
+    text_content,
+    voice_id,
+    audio_path,
+    param,
+    seed
+  })
 }
 
 /**
@@ -140,18 +200,175 @@ async function saveVideo({ id, model_id, name, text_content, voice_id, audio_pat
  * @param {number} videoId
  * @returns
  */
-function makeVideo(videoId) {
-  update({ id: videoId, status: 'waiting' })
+export function makeVideo(videoId) {
+  update({
+    id: videoId,
+    status: 'waiting',
+    priority: 0,
+    attempts: 0,
+    last_error: null,
+    next_retry_at: null
+  })
+  return videoId
+}
+
+/**
+ * 通知 face2face 停止任务，服务不支持时忽略
+ * @param {string} code 任务code
+ * @param {object} backend face2face 服务
+ */
+async function abortTask(code, backend) {
+  if (!code || !backend) return
+  try {
+    await stopVideo(code, backend.url)
+    log.info(`~ abortTask ~ task ${code} stopped on ${backend.url}`)
+  } catch (error) {
+    log.warn(`~ abortTask ~ stop task ${code} on ${backend.url} failed:`, error.message)
+  }
+}
+
+/**
+ * 取消排队中或合成中的视频，视频回到草稿状态
+ * 合成中的任务由调度器在下次轮询时释放槽位
+ * @param {number} videoId
+ * @returns
+ */
+async function cancelVideo(videoId) {
+  const video = selectVideoByID(videoId)
+  if (!video || !['waiting', 'pending'].includes(video.status)) {
+    throw new Error('只有排队中或合成中的视频可以取消')
+  }
+
+  update({
+    id: videoId,
+    status: 'draft',
+    message: '已取消',
+    progress: 0,
+    code: null,
+    priority: 0,
+    next_retry_at: null
+  })
+
+  if (video.status === 'pending') {
+    await abortTask(video.code, selectBackendByID(video.backend_id))
+  }
+  return videoId
+}
+
+/**
+ * 将排队中的视频移到队首
+ * @param {number} videoId
+ * @returns
+ */
+function prioritizeVideo(videoId) {
+  const video = selectVideoByID(videoId)
+  if (!video || video.status !== 'waiting') {
+    throw new Error('只有排队中的视频可以调整顺序')
+  }
+  update({ id: videoId, priority: maxPriority('waiting') + 1 })
+  return videoId
+}
+
+/**
+ * 按给定顺序重新排列排队中的视频
+ * @param {number[]} videoIds 排队中视频的id，排在前面的先合成
+ * @returns
+ */
+function reorderVideo(videoIds) {
+  const waiting = new Set(selectByStatus('waiting').map((v) => v.id))
+  updatePriorities(videoIds.filter((id) => waiting.has(id)))
+  return selectByStatus('waiting').map((v) => v.id)
+}
+
+/**
+ * 合成失败的视频重新排队，沿用已有的文本和音频
+ * @param {number} videoId
+ * @returns
+ */
+function retryVideo(videoId) {
+  const video = selectVideoByID(videoId)
+  if (!video || video.status !== 'failed') {
+    throw new Error('只有合成失败的视频可以重新合成')
+  }
+  update({
+    id: videoId,
+    status: 'waiting',
+    message: '',
+    progress: 0,
+    code: null,
+    attempts: 0,
+    last_error: null,
+    next_retry_at: null
+  })
   return videoId
 }
 
-export async function synthesisVideo(videoId) {
+/**
+ * 判断异常是否可以重试：网络错误、超时、服务端 5xx、暂时没有可用服务和服务之间复制文件失败
+ * @param {Error} error
+ */
+function isRetryableError(error) {
+  if (error.response) {
+    return error.response.status >= 500 || error.response.status === 429
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code)
+}
+
+/**
+ * 记录一次合成失败
+ * 可重试且未超过次数时按退避时间重新排队，否则标记为失败
+ * @param {number} videoId
+ * @param {string} reason 失败原因
+ * @param {boolean} retryable
+ */
+function failVideo(videoId, reason, retryable) {
+  const video = selectVideoByID(videoId)
+  // 已被取消或删除
+  if (!video || video.status !== 'pending') return
+
+  const attempts = (video.attempts || 0) + 1
+  if (retryable && attempts < retryConfig.maxAttempts) {
+    const delay = Math.min(retryConfig.baseDelay * 2 ** (attempts - 1), retryConfig.maxDelay)
+    log.warn(`~ failVideo ~ video ${videoId} attempt ${attempts} failed, retry in ${delay}ms:`, reason)
+    update({
+      id: videoId,
+      status: 'waiting',
+      message: reason,
+      progress: 0,
+      code: null,
+      attempts,
+      last_error: reason,
+      next_retry_at: Date.now() + delay
+    })
+  } else {
+    log.error(`~ failVideo ~ video ${videoId} failed after ${attempts} attempt(s):`, reason)
+    update({
+      id: videoId,
+      status: 'failed',
+      message: reason,
+      attempts,
+      last_error: reason,
+      next_retry_at: null
+    })
+  }
+}
+
+/**
+ * 合成视频
+ * 生成音频并提交到指定的 face2face 服务
+ * @param {number} videoId
+ * @param {object} backend face2face 服务
+ * @returns
+ */
+export async function synthesisVideo(videoId, backend) {
+  let audioPath
   try{
     update({
       id: videoId,
       file_path: null,
       status: 'pending',
       message: '正在提交任务',
+      backend_id: backend.id
     })
 
     // 查询Video
@@ -162,7 +379,9 @@ export async function synthesisVideo(videoId) {
     const model = selectF2FModelByID(video.model_id)
     log.debug('~ makeVideo ~ model:', model)
 
-    let audioPath
+    // 该视频的 TTS 合成参数，提交 face2face 后继续保存在 param 中
+    const ttsParam = parseParam(video.param).tts
+
     if(video.audio_path){
       // 将audio_path复制到ttsProduct目录下
       audioPath = video.audio_path
@@ -171,10 +390,19 @@ export async function synthesisVideo(videoId) {
       const voice = selectVoiceByID(video.voice_id || model.voice_id)
       log.debug('~ makeVideo ~ voice:', voice)
 
+      // 没有试听过的视频在这里确定种子，重试时生成相同的音频
+      let seed = video.seed
+      if (seed === null || seed === undefined) {
+        seed = randomSeed()
+        update({ id: videoId, seed })
+      }
+
       // 调用tts接口生成音频
       audioPath = await makeAudio4Video({
         voiceId: voice.id,
-        text: video.text_content
+        text: video.text_content,
+        param: ttsParam,
+        seed
       })
       log.debug('~ makeVideo ~ audioPath:', audioPath)
     }
@@ -183,13 +411,25 @@ export async function synthesisVideo(videoId) {
     let result, param
     if (process.env.NODE_ENV === 'development') {
       // 写死调试
-      ({ result, param } = await makeVideoByF2F('test.wav', 'test.mp4'))
+      ({ result, param } = await makeVideoByF2F('test.wav', 'test.mp4', backend.url))
     } else {
-      ({ result, param } = await makeVideoByF2F(audioPath, model.video_path))
+      // 音频和模特视频需要在该 face2face 服务的文件服务上
+      const audioUrl = await ensureOnBackend(audioPath, backend)
+      const videoUrl = await ensureOnBackend(model.video_path, backend)
+      ;({ result, param } = await makeVideoByF2F(audioUrl, videoUrl, backend.url))
     }
 
     log.debug('~ makeVideo ~ result, param:', result, param)
 
+    // 提交期间视频被取消，停止刚提交的任务
+    if (selectVideoByID(videoId)?.status !== 'pending') {
+      log.info('~ synthesisVideo ~ video cancelled while submitting:', videoId)
+      if (10000 === result.code) {
+        await abortTask(param.code, backend)
+      }
+      return videoId
+    }
+
     // 插入视频表
     if(10000 === result.code){ // 成功
       update({
@@ -198,44 +438,49 @@ export async function synthesisVideo(videoId) {
         status: 'pending',
         message: result,
         audio_path: audioPath,
-        param,
+        param: { ...param, tts: ttsParam },
         code: param.code
       })
     }else{ // 失败
       update({
         id: videoId,
         file_path: null,
-        status: 'failed',
-        message: result.msg,
         audio_path: audioPath,
-        param,
+        param: { ...param, tts: ttsParam },
         code: param.code
       })
+      failVideo(videoId, result.msg, !FATAL_CODES.includes(result.code))
     }
   } catch (error) {
     log.error('~ synthesisVideo ~ error:', error.message)
-    updateStatus(videoId, 'failed', error.message)
+    // 已生成的音频保留下来，重试时不再重新生成
+    if (audioPath) {
+      update({ id: videoId, audio_path: audioPath })
+    }
+    failVideo(videoId, error.message, isRetryableError(error))
   }
 
   // 6. 返回视频id
   return videoId
 }
 
-export async function loopPending() {
-  const video = findFirstByStatus('pending')
-  if (!video) {
-    synthesisNext()
-
-    setTimeout(() => {
-      loopPending()
-    }, 2000)
-    return
+/**
+ * 查询一次合成进度并更新视频状态
+ * @param {number} videoId
+ * @param {object} backend 提交任务的 face2face 服务
+ * @returns {Promise<boolean>} 任务是否已结束（成功、失败或已被删除）
+ */
+export async function pollVideo(videoId, backend) {
+  const video = selectVideoByID(videoId)
+  if (!video || video.status !== 'pending' || !video.code) {
+    return true
   }
 
-  const statusRes = await getVideoStatus(video.code)
+  const statusRes = await getVideoStatus(video.code, backend.url)
 
   if ([9999, 10002, 10003].includes(statusRes.code)) {
-    updateStatus(video.id, 'failed', statusRes.msg)
+    failVideo(video.id, statusRes.msg, !FATAL_CODES.includes(statusRes.code))
+    return true
   } else if (statusRes.code === 10000) {
     if (statusRes.data.status === 1) {
       updateStatus(
@@ -262,27 +507,17 @@ export async function loopPending() {
         file_path: statusRes.data.result,
         duration
       })
-
+      // 合成结果保存在该 face2face 服务上
+      insertRemoteFile({ backend_id: backend.id, remote_path: statusRes.data.result })
+      return true
     } else if (statusRes.data.status === 3) {
-      updateStatus(video.id, 'failed', statusRes.data.msg)
+      // 服务端明确返回合成失败，不自动重试
+      failVideo(video.id, statusRes.data.msg, false)
+      return true
     }
   }
 
-  setTimeout(() => {
-    loopPending()
-  }, 2000)
-  return video
-}
-
-/**
- * 合成下一个视频
- */
-function synthesisNext() {
-  // 查询所有未完成的视频任务
-  const video = findFirstByStatus('waiting')
-  if (video) {
-    synthesisVideo(video.id)
-  }
+  return false
 }
 
 async function removeVideo(videoId) {
@@ -300,9 +535,12 @@ async function removeVideo(videoId) {
     localVideoPath = path.join(assetPath.model, video.file_path)
   }
 
-  if (localVideoPath && fs.existsSync(localVideoPath)) {
+  if (video.file_path && video.file_path.includes('/')) {
+    removeAsset(video.file_path, localVideoPath)
+  } else if (localVideoPath && fs.existsSync(localVideoPath)) {
     fs.unlinkSync(localVideoPath)
   }
+  removeThumbnail(video.file_path && video.file_path.includes('/') ? video.file_path : localVideoPath)
 
   // Delete local audio file if it exists
   let localAudioPath
@@ -318,11 +556,21 @@ async function removeVideo(videoId) {
     fs.unlinkSync(localAudioPath)
   }
 
-  // TODO: Add API endpoints to delete remote files
-  // For now, we'll just delete the database entry
+  // 删除视频表，视频的音频不再作为可复用的音频
+  const info = deleteVideo(videoId)
+  if (video.audio_path) {
+    removeAudioAsset(video.audio_path)
+  }
 
-  // 删除视频表
-  return deleteVideo(videoId)
+  // 删除文件服务上不再被引用的文件（音频可能还被其他视频复用），不等待删除完成
+  const remotePaths = [
+    [video.file_path, 'face2faceFileServer'],
+    [video.audio_path, 'ttsFileServer']
+  ].filter(([remotePath]) => remotePath && remotePath.includes('/'))
+  releaseRemoteFiles(remotePaths).catch((error) => {
+    log.error(`Failed to delete remote files of video ${videoId}:`, error.message)
+  })
+  return info
 }
 
 async function exportVideo(videoId, outputPath) {
@@ -332,22 +580,15 @@ async function exportVideo(videoId, outputPath) {
   if (video.file_path && video.file_path.includes('/')) {
     // It's a remote path, download it if needed
     const localFilePath = path.join(assetPath.model, path.basename(video.file_path))
-
-    // Download if it doesn't exist locally
-    if (!fs.existsSync(localFilePath)) {
-      try {
-        const downloadResult = await downloadFile(
-          video.file_path,
-          localFilePath,
-          'face2faceFileServer'
-        )
-        if (!downloadResult.success) {
-          throw new Error(`Failed to download video: ${downloadResult.error}`)
-        }
-      } catch (error) {
-        log.error(`Error downloading video for export: ${error.message}`)
-        throw error
-      }
+    try {
+      await fetchAsset(video.file_path, localFilePath, 'face2faceFileServer', {
+        type: 'video',
+        id: video.id,
+        field: 'file_path'
+      })
+    } catch (error) {
+      log.error(`Error downloading video for export: ${error.message}`)
+      throw error
     }
 
     filePath = localFilePath
@@ -364,9 +605,10 @@ async function exportVideo(videoId, outputPath) {
  * 调用face2face生成视频
  * @param {string} audioPath
  * @param {string} videoPath
+ * @param {string} baseUrl face2face 服务地址
  * @returns
  */
-async function makeVideoByF2F(audioPath, videoPath) {
+async function makeVideoByF2F(audioPath, videoPath, baseUrl) {
   const uuid = crypto.randomUUID()
   const param = {
     audio_url: audioPath,
@@ -376,7 +618,7 @@ async function makeVideoByF2F(audioPath, videoPath) {
     watermark_switch: 0,
     pn: 1
   }
-  const result = await makeVideoApi(param)
+  const result = await makeVideoApi(param, baseUrl)
   return { param, result }
 }
 
@@ -391,6 +633,18 @@ export function init() {
   ipcMain.handle(MODEL_NAME + '/make', (event, ...args) => {
     return makeVideo(...args)
   })
+  ipcMain.handle(MODEL_NAME + '/retry', (event, ...args) => {
+    return retryVideo(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/cancel', async (event, ...args) => {
+    return await cancelVideo(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/prioritize', (event, ...args) => {
+    return prioritizeVideo(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/reorder', (event, ...args) => {
+    return reorderVideo(...args)
+  })
   ipcMain.handle(MODEL_NAME + '/modify', (event, ...args) => {
     return modify(...args)
   })
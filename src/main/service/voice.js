@@ -1,84 +1,445 @@
-import { selectAll, insert, selectByID } from '../dao/voice.js'
+import {
+  selectAll,
+  selectPage,
+  count,
+  insert,
+  update,
+  remove as deleteVoice,
+  selectByID,
+  updateParam
+} from '../dao/voice.js'
 import { preprocessAndTran, makeAudio as makeAudioApi } from '../api/tts.js'
 import crypto from 'crypto'
 import fs from 'fs'
 import path from 'path'
-import { assetPath, serviceUrl } from '../config/config.js'
+import { assetPath, serviceUrl, segmentConfig, defaultTtsParam, gcConfig } from '../config/config.js'
 import log from '../logger.js'
 import { ipcMain } from 'electron'
 import dayjs from 'dayjs'
-import { uploadFile, downloadFile } from '../api/file-transfer.js'
+import { uploadFile, downloadFile, ensureOnBackend } from '../api/file-transfer.js'
+import { withBackend } from './backend.js'
+import { fetchAsset } from './asset.js'
+import { splitText } from '../util/segment.js'
+import { normalizeText } from '../util/normalize.js'
+import { concatAudio, trimAudio } from '../util/ffmpeg.js'
+import { countByVoiceID as countModelByVoiceID } from '../dao/f2f-model.js'
+import {
+  insert as insertAudioAsset,
+  findByKey as findAudioAsset,
+  selectByVoiceID as selectAudioAssets,
+  removeByVoiceID as removeAudioAssets
+} from '../dao/audio-asset.js'
+import { releaseRemoteFiles } from './gc.js'
+import {
+  insert as insertVersion,
+  selectByVoiceID as selectVersions,
+  selectByID as selectVersion,
+  removeByVoiceID as removeVersions
+} from '../dao/voice-version.js'
 
 const MODEL_NAME = 'voice'
 
+function parseParam(value) {
+  if (!value) return {}
+  if (typeof value === 'object') return value
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    return {}
+  }
+}
+
+/**
+ * 合成参数：默认值 < 音色的默认参数 < 单个视频的参数
+ * @param {object} voice
+ * @param {object} override 单个视频的参数
+ * @returns {object}
+ */
+export function resolveTtsParam(voice, override = {}) {
+  const layers = [defaultTtsParam, parseParam(voice?.tts_param), parseParam(override)]
+  return Object.fromEntries(
+    Object.keys(defaultTtsParam).map((key) => {
+      // 取最后一个有效的数值
+      const value = layers
+        .map((layer) => layer[key])
+        .filter((v) => v !== null && v !== undefined && v !== '' && !isNaN(v))
+        .pop()
+      return [key, Number(value)]
+    })
+  )
+}
+
+/**
+ * 随机生成一个种子，同一种子、文本和参数生成的音频相同
+ */
+export function randomSeed() {
+  return crypto.randomInt(0, 2 ** 31 - 1)
+}
+
+/**
+ * 合成参数加上种子，有种子时固定种子生成
+ */
+function withSeed(ttsParam, seed) {
+  if (seed === undefined || seed === null || seed === '') return ttsParam
+  return { ...ttsParam, seed: Number(seed), is_fixed_seed: 1 }
+}
+
+function getParam(voiceId) {
+  return resolveTtsParam(selectByID(voiceId))
+}
+
+function saveParam(voiceId, ttsParam) {
+  updateParam(voiceId, resolveTtsParam(null, ttsParam))
+}
+
 export function getAllTimbre() {
   return selectAll()
 }
 
-export async function train(audioPath, lang = 'zh') {
-  log.info(`Training voice model with audio: ${audioPath}, language: ${lang}`)
+/**
+ * 调用 TTS 服务预处理参考音频，得到格式化后的音频和识别出的文本
+ * @param {string} remotePath 参考音频在该服务文件服务上的路径
+ * @param {string} lang
+ * @param {object} backend TTS 服务
+ */
+async function preprocess(remotePath, lang, backend) {
+  const res = await preprocessAndTran(
+    {
+      format: path.extname(remotePath).substring(1), // Remove the dot from extension
+      reference_audio: remotePath,
+      lang
+    },
+    backend.url
+  )
+  log.debug('~ preprocess ~ res:', res)
+  return res
+}
 
-  // For remote paths, we don't need to modify the path format
-  // For local paths (during development), we need to upload the file first
-  let remotePath = audioPath
+/**
+ * 训练音色并保存
+ * @param {string} audioPath 参考音频，文件服务上的路径或本地路径
+ * @param {string} lang
+ * @param {string} name
+ * @param {object} [options]
+ * @param {(voiceId: number) => void} [options.onInserted] 保存音色后立即同步调用，调用方在这里记录音色 id，
+ *   避免返回前中断导致重新训练、留下多余的音色
+ * @returns {Promise<number|false>} 音色 id，训练失败时为 false
+ */
+export async function train(audioPath, lang = 'zh', name = null, { onInserted } = {}) {
+  log.info(`Training voice model with audio: ${audioPath}, language: ${lang}`)
 
-  // Check if this is a local path that needs to be uploaded
-  if (audioPath.includes('\\') || audioPath.startsWith('/')) {
-    // This is a local path, upload it to the TTS server
-    const localPath = audioPath.replace(/\\/g, '/') // Replace backslashes with forward slashes
-    log.info(`Local audio path: ${localPath}`)
+  return withBackend('tts', async (backend) => {
+    // For remote paths, make sure the file is on the chosen TTS server
+    // For local paths (during development), we need to upload the file first
+    let remotePath = audioPath
+
+    // Check if this is a local path that needs to be uploaded
+    if (audioPath.includes('\\') || audioPath.startsWith('/')) {
+      // This is a local path, upload it to the TTS server
+      const localPath = audioPath.replace(/\\/g, '/') // Replace backslashes with forward slashes
+      log.info(`Local audio path: ${localPath}`)
+
+      // Make sure the file exists
+      if (!fs.existsSync(localPath)) {
+        log.error(`Audio file does not exist: ${localPath}`)
+        throw new Error(`Audio file does not exist: ${localPath}`)
+      }
+
+      // Upload the audio file itself, the server saves it under a unique name and
+      // an interrupted upload of the same file resumes where it stopped
+      log.info('Uploading audio file to TTS server...')
+      const uploadResult = await uploadFile(localPath, backend, 'origin_audio')
+      if (!uploadResult.success) {
+        log.error(`Failed to upload audio: ${uploadResult.error}`)
+        throw new Error(`Failed to upload audio: ${uploadResult.error}`)
+      }
+
+      // Use the remote path for the API call
+      remotePath = uploadResult.remotePath
+      log.info(`Audio uploaded successfully. Remote path: ${remotePath}`)
+    } else {
+      remotePath = await ensureOnBackend(audioPath, backend)
+    }
 
-    // Make sure the file exists
-    if (!fs.existsSync(localPath)) {
-      log.error(`Audio file does not exist: ${localPath}`)
-      throw new Error(`Audio file does not exist: ${localPath}`)
+    // Call the TTS service to preprocess and train
+    const res = await preprocess(remotePath, lang, backend)
+
+    if (res.code !== 0) {
+      return false
+    } else {
+      const { asr_format_audio_url, reference_audio_text } = res
+      const voiceId = insert({
+        origin_audio_path: remotePath,
+        lang,
+        asr_format_audio_url,
+        reference_audio_text,
+        backend_id: backend.id,
+        name
+      })
+      onInserted?.(Number(voiceId))
+      return voiceId
     }
+  })
+}
+
+/**
+ * 分页查询声音库
+ */
+function page({ page, pageSize, name = '' }) {
+  return {
+    total: count(name),
+    list: selectPage({ page, pageSize, name })
+  }
+}
+
+/**
+ * 用任意音频克隆一个声音
+ * @param {string} name 声音名称
+ * @param {string} audioPath 本地音频路径
+ * @param {string} lang 音频的语言
+ * @returns {Promise<number>} 声音id
+ */
+async function addVoice({ name, audioPath, lang = 'zh' }) {
+  if (!fs.existsSync(audioPath)) {
+    throw new Error(`Audio file does not exist: ${audioPath}`)
+  }
+  if (!fs.existsSync(assetPath.ttsTrain)) {
+    fs.mkdirSync(assetPath.ttsTrain, { recursive: true })
+  }
+
+  // 保留一份原始音频
+  const localPath = path.join(
+    assetPath.ttsTrain,
+    dayjs().format('YYYYMMDDHHmmssSSS') + path.extname(audioPath)
+  )
+  fs.copyFileSync(audioPath, localPath)
+
+  const voiceId = await train(localPath, lang, name)
+  if (!voiceId) {
+    throw new Error('声音克隆失败，请检查音频')
+  }
+  return voiceId
+}
+
+function rename(id, name) {
+  return update({ id, name })
+}
+
+function removeVoice(id) {
+  if (countModelByVoiceID(id) > 0) {
+    throw new Error('该声音正在被模特使用，不能删除')
+  }
+  const assets = selectAudioAssets(id)
+  deleteVoice(id)
+  removeVersions(id)
+  removeAudioAssets(id)
+
+  // 试听等生成的音频不会再被复用，删除文件服务上没有视频使用的
+  releaseRemoteFiles(assets.map((asset) => [asset.remote_path, 'ttsFileServer'])).catch((error) => {
+    log.error(`Failed to delete audio assets of voice ${id}:`, error.message)
+  })
+}
+
+/**
+ * 更新参考音频或参考文本，修改前的版本保留下来用于回滚
+ * @param {number} id
+ * @param {object} reference origin_audio_path、asr_format_audio_url、reference_audio_text、backend_id
+ */
+function updateReference(id, reference) {
+  const voice = selectByID(id)
+  if (!voice) {
+    throw new Error(`Voice with ID ${id} not found`)
+  }
+  insertVersion(voice)
+  update({ id, ...reference })
+}
+
+/**
+ * 下载参考音频到本地用于播放和裁剪
+ * @returns {Promise<string>} 本地路径
+ */
+async function localReferenceAudio(voice) {
+  if (!voice.asr_format_audio_url) {
+    throw new Error(`Voice ${voice.id} has no reference audio`)
+  }
+  const localPath = path.join(
+    assetPath.ttsRoot,
+    'reference',
+    path.basename(voice.asr_format_audio_url.replace(/\\/g, '/'))
+  )
+  try {
+    return await fetchAsset(voice.asr_format_audio_url, localPath, 'ttsFileServer')
+  } catch (error) {
+    throw new Error(`Failed to download reference audio: ${error.message}`)
+  }
+}
+
+/**
+ * 音色详情：参考音频的本地路径和历史版本
+ * @param {number} id
+ */
+async function detail(id) {
+  const voice = selectByID(id)
+  if (!voice) {
+    throw new Error(`Voice with ID ${id} not found`)
+  }
+
+  let referenceAudioPath = ''
+  try {
+    referenceAudioPath = await localReferenceAudio(voice)
+  } catch (error) {
+    log.error(`Error downloading reference audio of voice ${id}: ${error.message}`)
+  }
 
-    // Create a copy of the file with a unique name to ensure it's properly saved
-    const tempDir = require('os').tmpdir()
-    const uniqueFileName = `train_${crypto.randomUUID()}${path.extname(localPath)}`
-    const tempFilePath = path.join(tempDir, uniqueFileName)
+  return {
+    ...voice,
+    reference_audio_path: referenceAudioPath,
+    versions: selectVersions(id)
+  }
+}
 
-    log.info(`Copying audio file to temp location: ${tempFilePath}`)
-    fs.copyFileSync(localPath, tempFilePath)
+/**
+ * 修正 ASR 识别出的参考文本
+ */
+function saveText(id, text) {
+  if (!text?.trim()) {
+    throw new Error('参考文本不能为空')
+  }
+  updateReference(id, { reference_audio_text: text.trim() })
+}
+
+/**
+ * 截取参考音频的一段后重新预处理，截取后的音频作为新的原始音频
+ * @param {number} id
+ * @param {number} start 开始时间（秒）
+ * @param {number} end 结束时间（秒）
+ */
+async function trim(id, start, end) {
+  const voice = selectByID(id)
+  if (!voice) {
+    throw new Error(`Voice with ID ${id} not found`)
+  }
+  start = Number(start)
+  end = Number(end)
+  if (isNaN(start) || isNaN(end) || start < 0 || end <= start) {
+    throw new Error('裁剪范围无效')
+  }
 
-    // Upload the audio file
-    log.info('Uploading audio file to TTS server...')
-    const uploadResult = await uploadFile(tempFilePath, 'ttsFileServer', 'origin_audio')
+  const localPath = await localReferenceAudio(voice)
+  if (!fs.existsSync(assetPath.ttsTrain)) {
+    fs.mkdirSync(assetPath.ttsTrain, { recursive: true })
+  }
+  const trimmedPath = path.join(assetPath.ttsTrain, dayjs().format('YYYYMMDDHHmmssSSS') + '.wav')
+  await trimAudio(localPath, trimmedPath, start, end)
+
+  await withBackend('tts', async (backend) => {
+    const uploadResult = await uploadFile(trimmedPath, backend, 'origin_audio')
     if (!uploadResult.success) {
-      log.error(`Failed to upload audio: ${uploadResult.error}`)
       throw new Error(`Failed to upload audio: ${uploadResult.error}`)
     }
+    const res = await preprocess(uploadResult.remotePath, voice.lang, backend)
+    if (res.code !== 0) {
+      throw new Error(res.msg || '参考音频预处理失败')
+    }
+    updateReference(id, {
+      origin_audio_path: uploadResult.remotePath,
+      asr_format_audio_url: res.asr_format_audio_url,
+      reference_audio_text: res.reference_audio_text,
+      backend_id: backend.id
+    })
+  })
+  return detail(id)
+}
 
-    // Use the remote path for the API call
-    remotePath = uploadResult.remotePath
-    log.info(`Audio uploaded successfully. Remote path: ${remotePath}`)
+/**
+ * 回滚到历史版本，当前版本同样会被保留
+ * @param {number} id
+ * @param {number} versionId
+ */
+function rollback(id, versionId) {
+  const version = selectVersion(versionId)
+  if (!version || version.voice_id !== id) {
+    throw new Error(`Version ${versionId} of voice ${id} not found`)
   }
-
-  // Call the TTS service to preprocess and train
-  const res = await preprocessAndTran({
-    format: path.extname(remotePath).substring(1), // Remove the dot from extension
-    reference_audio: remotePath,
-    lang
+  updateReference(id, {
+    origin_audio_path: version.origin_audio_path,
+    asr_format_audio_url: version.asr_format_audio_url,
+    reference_audio_text: version.reference_audio_text,
+    backend_id: version.backend_id
   })
+}
 
-  log.debug('~ train ~ res:', res)
+/**
+ * 用原始音频重新预处理，更新参考音频和参考文本
+ * @param {number} id
+ */
+async function retrain(id) {
+  const voice = selectByID(id)
+  if (!voice) {
+    throw new Error(`Voice with ID ${id} not found`)
+  }
 
-  if (res.code !== 0) {
-    return false
-  } else {
-    const { asr_format_audio_url, reference_audio_text } = res
-    return insert({
-      origin_audio_path: remotePath,
-      lang,
-      asr_format_audio_url,
-      reference_audio_text
+  return withBackend('tts', async (backend) => {
+    const remotePath = await ensureOnBackend(voice.origin_audio_path, backend, voice.backend_id)
+    const res = await preprocess(remotePath, voice.lang, backend)
+    if (res.code !== 0) {
+      throw new Error(res.msg || '声音重新训练失败')
+    }
+    updateReference(id, {
+      asr_format_audio_url: res.asr_format_audio_url,
+      reference_audio_text: res.reference_audio_text,
+      backend_id: backend.id
     })
-  }
+    return id
+  })
 }
 
-export function makeAudio4Video({voiceId, text}) {
-  return makeAudio({voiceId, text, targetDir: assetPath.ttsProduct})
+/**
+ * 音频资源的 key，音色、文本、合成参数和种子都相同时生成的音频相同
+ */
+function audioKey(voice, text, param, seed) {
+  return crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([
+        voice.id,
+        voice.asr_format_audio_url,
+        voice.reference_audio_text,
+        text,
+        withSeed(resolveTtsParam(voice, param), seed)
+      ])
+    )
+    .digest('hex')
+}
+
+/**
+ * 登记可复用的音频，只登记已上传到文件服务的
+ */
+function saveAudioAsset(voice, key, remotePath) {
+  if (!remotePath?.includes('/')) return
+  insertAudioAsset({ voice_id: voice.id, audio_key: key, remote_path: remotePath })
+}
+
+/**
+ * 生成视频用的音频
+ * 试听过的相同文本、参数和种子的音频直接复用（登记后 audioAssetTtl 内），不再调用 TTS
+ */
+export async function makeAudio4Video({voiceId, text, param, seed}) {
+  const voice = selectByID(voiceId)
+  if (!voice || seed === undefined || seed === null) {
+    return makeAudio({voiceId, text, targetDir: assetPath.ttsProduct, param, seed})
+  }
+
+  const key = audioKey(voice, text, param, seed)
+  const asset = findAudioAsset(key, Date.now() - gcConfig.audioAssetTtl)
+  if (asset) {
+    log.info(`Reusing audio asset ${asset.id}: ${asset.remote_path}`)
+    return asset.remote_path
+  }
+
+  const remotePath = await makeAudio({voiceId, text, targetDir: assetPath.ttsProduct, param, seed})
+  saveAudioAsset(voice, key, remotePath)
+  return remotePath
 }
 
 export async function copyAudio4Video(filePath) {
@@ -105,7 +466,139 @@ export async function copyAudio4Video(filePath) {
   return uploadResult.remotePath
 }
 
-export async function makeAudio({voiceId, text, targetDir}) {
+/**
+ * 选择负载最低的 TTS 服务生成音频
+ * @param {object} voice
+ * @param {string} text
+ * @param {object} ttsParam 合成参数，见 resolveTtsParam
+ * @returns {Promise<{audioData: Buffer, backend: object}>}
+ */
+async function requestAudio(voice, text, ttsParam) {
+  return withBackend('tts', async (backend) => {
+    log.info(`Calling TTS API on ${backend.url} to generate audio...`)
+    const referenceAudio = await ensureOnBackend(
+      voice.asr_format_audio_url,
+      backend,
+      voice.backend_id
+    )
+    const audioData = await makeAudioApi(
+      {
+        speaker: crypto.randomUUID(),
+        text,
+        format: 'wav',
+        max_new_tokens: 1024,
+        need_asr: false,
+        streaming: false,
+        is_norm: 0,
+        ...ttsParam,
+        reference_audio: referenceAudio,
+        reference_text: voice.reference_audio_text
+      },
+      backend.url
+    )
+    return { audioData, backend }
+  })
+}
+
+/**
+ * 合成一个片段，同一音色、同一文本的片段直接使用缓存
+ * @returns {Promise<{filePath: string, backend: object|null}>} 命中缓存时 backend 为 null
+ */
+async function makeSegment(voice, text, ttsParam) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([voice.id, voice.asr_format_audio_url, voice.reference_audio_text, text, ttsParam])
+    )
+    .digest('hex')
+  const filePath = path.join(segmentConfig.cacheDir, `${hash}.wav`)
+  if (fs.existsSync(filePath)) {
+    // 修改时间作为最后使用时间，清理缓存时保留最近用过的片段
+    const now = new Date()
+    fs.utimesSync(filePath, now, now)
+    return { filePath, backend: null }
+  }
+
+  const { audioData, backend } = await requestAudio(voice, text, ttsParam)
+  fs.writeFileSync(filePath, audioData, 'binary')
+  return { filePath, backend }
+}
+
+/**
+ * 清理分段音频缓存：删除超过 cacheMaxAge 没有使用的片段，总大小超过 cacheMaxSize 时从最久没有使用的开始删除
+ */
+function pruneSegmentCache() {
+  const now = Date.now()
+  const files = fs
+    .readdirSync(segmentConfig.cacheDir)
+    .map((name) => {
+      const filePath = path.join(segmentConfig.cacheDir, name)
+      const { size, mtimeMs } = fs.statSync(filePath)
+      return { filePath, size, mtimeMs }
+    })
+    .sort((a, b) => b.mtimeMs - a.mtimeMs)
+
+  let total = 0
+  let removed = 0
+  files.forEach((file) => {
+    total += file.size
+    if (now - file.mtimeMs > segmentConfig.cacheMaxAge || total > segmentConfig.cacheMaxSize) {
+      try {
+        fs.unlinkSync(file.filePath)
+        removed++
+      } catch (error) {
+        log.warn(`Failed to remove cached segment ${file.filePath}:`, error.message)
+      }
+    }
+  })
+  if (removed) {
+    log.info(`Removed ${removed} cached segments`)
+  }
+}
+
+/**
+ * 文案按音色的语言规范化、按句切分后逐段合成，再拼接成一个 wav
+ * 修改过的文案只重新合成变化的句子
+ * @param {object} voice
+ * @param {string} text
+ * @param {string} outputPath
+ * @param {object} ttsParam
+ * @returns {Promise<object|null>} 最后一个实际调用的 TTS 服务
+ */
+async function synthesize(voice, text, outputPath, ttsParam) {
+  const segments = splitText(normalizeText(text, voice.lang), voice.lang, segmentConfig.maxLength)
+  if (segments.length === 0) {
+    throw new Error('Text is empty')
+  }
+  if (!fs.existsSync(segmentConfig.cacheDir)) {
+    fs.mkdirSync(segmentConfig.cacheDir, { recursive: true })
+  }
+
+  const results = []
+  for (const segment of segments) {
+    results.push(await makeSegment(voice, segment, ttsParam))
+  }
+  const cached = results.filter((result) => !result.backend).length
+  log.info(`Synthesized ${segments.length} segments, ${cached} from cache`)
+
+  if (results.length === 1) {
+    fs.copyFileSync(results[0].filePath, outputPath)
+  } else {
+    await concatAudio(
+      results.map((result) => result.filePath),
+      outputPath,
+      segmentConfig.pause
+    )
+  }
+  try {
+    pruneSegmentCache()
+  } catch (error) {
+    log.warn('Failed to prune segment cache:', error.message)
+  }
+  return results.map((result) => result.backend).filter(Boolean).pop() || null
+}
+
+export async function makeAudio({voiceId, text, targetDir, param, seed}) {
   log.info(`Making audio - Voice ID: ${voiceId}, Text: ${text}, Target Dir: ${targetDir}`)
 
   const uuid = crypto.randomUUID()
@@ -130,31 +623,14 @@ export async function makeAudio({voiceId, text, targetDir}) {
   log.info(`Local file path: ${localFilePath}`)
 
   try {
-    // Generate audio using TTS API
-    log.info('Calling TTS API to generate audio...')
-    const audioData = await makeAudioApi({
-      speaker: uuid,
+    // Generate audio segment by segment and save to local file
+    const backend = await synthesize(
+      voice,
       text,
-      format: 'wav',
-      topP: 0.7,
-      max_new_tokens: 1024,
-      chunk_length: 100,
-      repetition_penalty: 1.2,
-      temperature: 0.7,
-      need_asr: false,
-      streaming: false,
-      is_fixed_seed: 0,
-      is_norm: 0,
-      reference_audio: voice.asr_format_audio_url,
-      reference_text: voice.reference_audio_text
-    })
-
-    log.info(`Audio generated successfully. Size: ${audioData.length} bytes`)
-
-    // Save audio data to local file
-    log.info(`Saving audio to local file: ${localFilePath}`)
-    fs.writeFileSync(localFilePath, audioData, 'binary')
-    log.info('Audio saved to local file')
+      localFilePath,
+      withSeed(resolveTtsParam(voice, param), seed)
+    )
+    log.info(`Audio saved to local file: ${localFilePath}`)
 
     // Check if we should upload to server
     if (process.env.SKIP_UPLOAD === 'true') {
@@ -162,9 +638,9 @@ export async function makeAudio({voiceId, text, targetDir}) {
       return `${uuid}.wav`
     }
 
-    // Upload to TTS server
+    // Upload to the TTS server that generated the audio (any TTS server if all segments were cached)
     log.info(`Uploading audio to TTS server...`)
-    const uploadResult = await uploadFile(localFilePath, 'ttsFileServer', 'audio')
+    const uploadResult = await uploadFile(localFilePath, backend || 'ttsFileServer', 'audio')
 
     if (!uploadResult.success) {
       log.error(`Failed to upload audio: ${uploadResult.error}`)
@@ -187,14 +663,21 @@ export async function makeAudio({voiceId, text, targetDir}) {
  * 试听音频
  * @param {string} voiceId
  * @param {string} text
- * @returns {Promise<string>} Local path to the audio file
+ * @param {object} param 合成参数，和最终合成视频时使用的一致
+ * @param {number} seed 不传时随机生成，合成视频时使用同一个种子可以得到相同的音频
+ * @returns {Promise<{audioPath: string, seed: number}>} Local path to the audio file and the seed used
  */
-export async function audition(voiceId, text) {
+export async function audition(voiceId, text, param, seed) {
   log.info(`Audition request - Voice ID: ${voiceId}, Text: ${text}`)
 
   const tmpDir = require('os').tmpdir()
   log.info(`Audition temp directory: ${tmpDir}`)
 
+  if (seed === undefined || seed === null || seed === '') {
+    seed = randomSeed()
+  }
+  log.info(`Audition seed: ${seed}`)
+
   // Get voice data from database
   const voice = selectByID(voiceId)
   if (!voice) {
@@ -205,14 +688,17 @@ export async function audition(voiceId, text) {
 
   // Generate audio and get the path (could be remote or local)
   log.info('Generating audio...')
-  const audioPathOrRemotePath = await makeAudio({ voiceId, text, targetDir: tmpDir })
+  const audioPathOrRemotePath = await makeAudio({ voiceId, text, targetDir: tmpDir, param, seed })
   log.info(`Audio generated. Path: ${audioPathOrRemotePath}`)
 
+  // 登记试听音频，合成视频时相同文本和参数直接使用
+  saveAudioAsset(voice, audioKey(voice, text, param, seed), audioPathOrRemotePath)
+
   // If it's a local path (contains no slashes), return the full path
   if (!audioPathOrRemotePath.includes('/')) {
     const fullPath = path.join(tmpDir, audioPathOrRemotePath)
     log.info(`Using local audio file: ${fullPath}`)
-    return fullPath
+    return { audioPath: fullPath, seed }
   }
 
   // If it's a remote path, download it
@@ -235,31 +721,14 @@ export async function audition(voiceId, text) {
 
       // As a fallback, try to generate the audio again but save it locally
       log.info('Trying fallback: generating audio directly to local file...')
-      const fallbackAudio = await makeAudioApi({
-        speaker: crypto.randomUUID(),
-        text,
-        format: 'wav',
-        topP: 0.7,
-        max_new_tokens: 1024,
-        chunk_length: 100,
-        repetition_penalty: 1.2,
-        temperature: 0.7,
-        need_asr: false,
-        streaming: false,
-        is_fixed_seed: 0,
-        is_norm: 0,
-        reference_audio: voice.asr_format_audio_url,
-        reference_text: voice.reference_audio_text
-      })
+      await synthesize(voice, text, localFilePath, withSeed(resolveTtsParam(voice, param), seed))
 
-      // Save the audio data to a local file
-      fs.writeFileSync(localFilePath, fallbackAudio, 'binary')
       log.info(`Fallback successful. Audio saved to: ${localFilePath}`)
-      return localFilePath
+      return { audioPath: localFilePath, seed }
     }
 
     log.info(`Download successful. Audio saved to: ${localFilePath}`)
-    return localFilePath
+    return { audioPath: localFilePath, seed }
   } catch (error) {
     log.error(`Error during audio download: ${error.message}`)
     log.error(error.stack)
@@ -271,4 +740,37 @@ export function init() {
   ipcMain.handle(MODEL_NAME + '/audition', async (event, ...args) => {
     return await audition(...args)
   })
+  ipcMain.handle(MODEL_NAME + '/page', (event, ...args) => {
+    return page(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/add', async (event, ...args) => {
+    return await addVoice(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/rename', (event, ...args) => {
+    return rename(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/remove', (event, ...args) => {
+    return removeVoice(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/retrain', async (event, ...args) => {
+    return await retrain(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/detail', async (event, ...args) => {
+    return await detail(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/saveText', (event, ...args) => {
+    return saveText(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/trim', async (event, ...args) => {
+    return await trim(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/rollback', (event, ...args) => {
+    return rollback(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/getParam', (event, ...args) => {
+    return getParam(...args)
+  })
+  ipcMain.handle(MODEL_NAME + '/saveParam', (event, ...args) => {
+    return saveParam(...args)
+  })
 }
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * 解析 CSV 文本，第一行为表头
+ * 支持双引号包裹的字段（字段内可以有逗号、换行，"" 表示一个引号）
+ * @param {string} content
+ * @returns {object[]} 每行一个对象，key 为表头
+ */
+export function parseCSV(content) {
+  const text = content.replace(/^\uFEFF/, '')
+  const records = []
+  let record = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field || record.length) {
+    record.push(field)
+    records.push(record)
+  }
+
+  const [header = [], ...rows] = records.filter((r) => r.some((value) => value.trim()))
+  const keys = header.map((key) => key.trim())
+  return rows.map((row) =>
+    Object.fromEntries(keys.map((key, index) => [key, (row[index] ?? '').trim()]))
+  )
+}
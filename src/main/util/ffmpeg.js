@@ -96,4 +96,265 @@ export function getVideoDuration(videoPath) {
       }
     })
   })
-}
\ No newline at end of file
+}
+
+/**
+ * 按顺序拼接多段音频为一个 wav，统一采样率和声道
+ * @param {string[]} inputs 音频路径
+ * @param {string} outputPath
+ * @param {number} pause 段与段之间插入的静音（毫秒）
+ */
+export function concatAudio(inputs, outputPath, pause = 0) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg()
+    inputs.forEach((input) => command.input(input))
+
+    const filters = inputs.map((input, index) => {
+      const padding = pause > 0 && index < inputs.length - 1 ? `,apad=pad_dur=${pause / 1000}` : ''
+      return `[${index}:a]aresample=44100,aformat=sample_fmts=s16:channel_layouts=mono${padding}[a${index}]`
+    })
+    filters.push(
+      `${inputs.map((input, index) => `[a${index}]`).join('')}concat=n=${inputs.length}:v=0:a=1[out]`
+    )
+
+    command
+      .complexFilter(filters, 'out')
+      .audioCodec('pcm_s16le')
+      .save(outputPath)
+      .on('end', () => {
+        log.info(`audio concat done: ${inputs.length} segments -> ${outputPath}`)
+        resolve(outputPath)
+      })
+      .on('error', (err) => {
+        reject(err)
+      })
+  })
+}
+
+/**
+ * 截取音频的一段
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {number} start 开始时间（秒）
+ * @param {number} end 结束时间（秒）
+ */
+export function trimAudio(inputPath, outputPath, start, end) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .noVideo()
+      .setStartTime(start)
+      .setDuration(end - start)
+      .save(outputPath)
+      .on('end', () => {
+        log.info(`audio trim done: ${start}s - ${end}s -> ${outputPath}`)
+        resolve(outputPath)
+      })
+      .on('error', (err) => {
+        reject(err)
+      })
+  })
+}
+
+export function probe(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(filePath).ffprobe((err, data) => {
+      if (err) {
+        reject(err)
+      } else {
+        resolve(data)
+      }
+    })
+  })
+}
+
+/**
+ * 逐帧分析视频质量：响度、峰值、静音、黑屏和镜头切换
+ * @param {string} videoPath
+ * @param {object} options
+ * @param {boolean} options.audio 是否分析音轨
+ * @param {number} options.start 入点（秒），只分析入点到出点之间的部分
+ * @param {number} options.end 出点（秒），用于计算持续到结尾的静音
+ * @param {{x: number, y: number, width: number, height: number}} options.crop 裁剪区域，只分析裁剪后的画面
+ * @param {number} options.silenceNoise 低于该音量（dB）视为静音
+ * @param {number} options.sceneThreshold 场景变化分数（0~1）超过该值视为镜头切换
+ * @param {number} options.blackDuration 黑屏至少持续的时长（秒）
+ * @returns {Promise<{loudness: number|null, peak: number|null, silence: number, black: number, sceneCuts: number[]}>}
+ *   sceneCuts 为镜头切换在原视频中的时间点（秒）
+ */
+export function analyzeVideo(
+  videoPath,
+  {
+    audio = true,
+    start = 0,
+    end = 0,
+    crop = null,
+    silenceNoise = -40,
+    sceneThreshold = 0.4,
+    blackDuration = 0.5
+  } = {}
+) {
+  return new Promise((resolve, reject) => {
+    const lines = []
+    const duration = Math.max(0, end - start)
+    const command = ffmpeg(videoPath)
+    if (start > 0) {
+      command.seekInput(start)
+    }
+    if (duration > 0) {
+      command.duration(duration)
+    }
+    command.videoFilters([
+      ...(crop ? [`crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}`] : []),
+      'scale=320:-2',
+      `blackdetect=d=${blackDuration}:pix_th=0.10`,
+      `select='gt(scene,${sceneThreshold})'`,
+      'showinfo'
+    ])
+    if (audio) {
+      command.audioFilters([
+        'ebur128=peak=true:framelog=verbose',
+        `silencedetect=noise=${silenceNoise}dB:d=0.5`
+      ])
+    } else {
+      command.noAudio()
+    }
+
+    command
+      .format('null')
+      .on('stderr', (line) => lines.push(line))
+      .on('end', () => {
+        const result = { loudness: null, peak: null, silence: 0, black: 0, sceneCuts: [] }
+        let silenceStart = null
+        lines.forEach((line) => {
+          let match
+          if ((match = line.match(/^\s*I:\s+(-?[\d.]+|-inf) LUFS/))) {
+            result.loudness = match[1] === '-inf' ? -Infinity : Number(match[1])
+          } else if ((match = line.match(/^\s*Peak:\s+(-?[\d.]+|-inf) dBFS/))) {
+            result.peak = match[1] === '-inf' ? -Infinity : Number(match[1])
+          } else if ((match = line.match(/silence_start: (-?[\d.]+)/))) {
+            silenceStart = Math.max(0, Number(match[1]))
+          } else if ((match = line.match(/silence_duration: ([\d.]+)/))) {
+            result.silence += Number(match[1])
+            silenceStart = null
+          } else if ((match = line.match(/black_duration:\s*([\d.]+)/))) {
+            result.black += Number(match[1])
+          } else if ((match = line.match(/Parsed_showinfo.*pts_time:\s*([\d.]+)/))) {
+            result.sceneCuts.push(Math.round((start + Number(match[1])) * 1000) / 1000)
+          }
+        })
+        // 静音一直持续到结尾时没有 silence_end
+        if (silenceStart !== null && duration > silenceStart) {
+          result.silence += duration - silenceStart
+        }
+        log.info('video analysis done:', videoPath, JSON.stringify(result))
+        resolve(result)
+      })
+      .on('error', (err) => {
+        reject(err)
+      })
+      .save('-')
+  })
+}
+
+/**
+ * 剪辑视频并重新编码为恒定帧率的 mp4
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {object} edit
+ * @param {number} edit.start 入点（秒）
+ * @param {number} edit.end 出点（秒），不传时到结尾
+ * @param {{x: number, y: number, width: number, height: number}} edit.crop 裁剪区域（原视频像素）
+ * @param {number} edit.resolution 输出视频短边像素，不传时不缩放
+ * @param {number} edit.fps 输出帧率，不传时保持原帧率
+ */
+export function processVideo(inputPath, outputPath, { start = 0, end, crop, resolution, fps } = {}) {
+  return new Promise((resolve, reject) => {
+    const filters = []
+    if (crop) {
+      filters.push(`crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}`)
+    }
+    if (resolution) {
+      // 按短边缩放，另一边保持比例并取偶数
+      filters.push(
+        `scale='if(gt(iw,ih),-2,${resolution})':'if(gt(iw,ih),${resolution},-2)'`
+      )
+    }
+    if (fps) {
+      filters.push(`fps=${fps}`)
+    }
+
+    const command = ffmpeg(inputPath)
+    if (start > 0) {
+      command.seekInput(start)
+    }
+    if (end) {
+      command.duration(end - start)
+    }
+    if (filters.length) {
+      command.videoFilters(filters)
+    }
+
+    command
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .outputOptions(['-preset veryfast', '-crf 18', '-pix_fmt yuv420p', '-movflags +faststart'])
+      .save(outputPath)
+      .on('end', () => {
+        log.info('video process done:', outputPath)
+        resolve(outputPath)
+      })
+      .on('error', (err) => {
+        reject(err)
+      })
+  })
+}
+
+/**
+ * 截取一帧作为封面
+ * @param {string} inputPath 本地路径或 http 地址
+ * @param {string} outputPath jpg
+ * @param {number} time 第几秒
+ * @param {number} width 封面宽度，高度按比例
+ */
+export function extractPoster(inputPath, outputPath, time = 0, width = 480) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .seekInput(time)
+      .frames(1)
+      .videoFilters(`scale=${width}:-2`)
+      .save(outputPath)
+      .on('end', () => {
+        resolve(outputPath)
+      })
+      .on('error', (err) => {
+        reject(err)
+      })
+  })
+}
+
+/**
+ * 生成一段低分辨率、无声的预览
+ * @param {string} inputPath 本地路径或 http 地址
+ * @param {string} outputPath mp4
+ * @param {object} options
+ * @param {number} options.duration 预览时长（秒）
+ * @param {number} options.width 预览宽度，高度按比例
+ * @param {number} options.fps 预览帧率
+ */
+export function makePreviewClip(inputPath, outputPath, { duration = 3, width = 320, fps = 12 } = {}) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .duration(duration)
+      .noAudio()
+      .videoFilters([`scale=${width}:-2`, `fps=${fps}`])
+      .videoCodec('libx264')
+      .outputOptions(['-preset veryfast', '-crf 30', '-pix_fmt yuv420p', '-movflags +faststart'])
+      .save(outputPath)
+      .on('end', () => {
+        resolve(outputPath)
+      })
+      .on('error', (err) => {
+        reject(err)
+      })
+  })
+}
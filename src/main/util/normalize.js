@@ -0,0 +1,83 @@
+const CJK = '\\u3400-\\u9fff\\uf900-\\ufaff'
+
+// 中文文案中夹杂的半角标点转成全角，TTS 对全角标点的停顿更自然
+const ZH_PUNCTUATION = {
+  ',': '，',
+  '.': '。',
+  '?': '？',
+  '!': '！',
+  ':': '：',
+  ';': '；'
+}
+
+// 英文文案中夹杂的全角标点转成半角，否则英文模型会把它们读出来或者忽略停顿
+const EN_PUNCTUATION = {
+  '，': ', ',
+  '、': ', ',
+  '。': '. ',
+  '？': '? ',
+  '！': '! ',
+  '：': ': ',
+  '；': '; ',
+  '“': '"',
+  '”': '"',
+  '‘': "'",
+  '’': "'",
+  '（': ' (',
+  '）': ') ',
+  '…': '...',
+  '—': ' - '
+}
+
+// 全角字母、数字转半角
+function toHalfWidth(text) {
+  return text.replace(/[０-９Ａ-Ｚａ-ｚ]/g, (char) =>
+    String.fromCharCode(char.charCodeAt(0) - 0xfee0)
+  )
+}
+
+function normalizeZh(text) {
+  return (
+    toHalfWidth(text)
+      // 汉字之间的空白没有意义，会被读成停顿
+      .replace(new RegExp(`([${CJK}])\\s+(?=[${CJK}])`, 'g'), '$1')
+      // 紧跟在汉字后面的半角标点，数字中的小数点、网址不受影响
+      .replace(
+        new RegExp(`([${CJK}])\\s*([,.?!:;])(?![\\w.])`, 'g'),
+        (match, char, punctuation) => char + ZH_PUNCTUATION[punctuation]
+      )
+      .replace(/([，。？！：；、])\s+/g, '$1')
+      .replace(/[ \t]+/g, ' ')
+      .trim()
+  )
+}
+
+function normalizeEn(text) {
+  return (
+    text
+      .replace(/[，、。？！：；“”‘’（）…—]/g, (char) => EN_PUNCTUATION[char])
+      .normalize('NFKC')
+      .replace(/&/g, ' and ')
+      // 标点前不留空白
+      .replace(/\s+([,.?!:;)])/g, '$1')
+      .replace(/[ \t]+/g, ' ')
+      .trim()
+  )
+}
+
+const NORMALIZERS = {
+  zh: normalizeZh,
+  en: normalizeEn
+}
+
+/**
+ * 按音色的语言规范化文案，再交给 TTS 合成
+ * @param {string} text
+ * @param {string} lang zh | en，其他语言原样返回
+ * @returns {string}
+ */
+export function normalizeText(text, lang = 'zh') {
+  const normalize = NORMALIZERS[lang]
+  if (!text || !normalize) return text
+  return normalize(text)
+}
@@ -0,0 +1,14 @@
+import { BrowserWindow } from 'electron'
+
+/**
+ * 推送消息到所有窗口，渲染进程通过 ipcRenderer.on(channel) 接收
+ * @param {string} channel
+ * @param {any} payload
+ */
+export function notify(channel, payload) {
+  BrowserWindow.getAllWindows().forEach((win) => {
+    if (!win.isDestroyed()) {
+      win.webContents.send(channel, payload)
+    }
+  })
+}
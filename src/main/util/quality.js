@@ -0,0 +1,85 @@
+export const PASS = 'pass'
+export const WARN = 'warn'
+export const FAIL = 'fail'
+
+const LEVEL = { [PASS]: 0, [WARN]: 1, [FAIL]: 2 }
+
+// 数值低于阈值时不通过/警告
+function atLeast(value, { fail, warn }) {
+  if (value < fail) return FAIL
+  if (value < warn) return WARN
+  return PASS
+}
+
+// 数值高于阈值时不通过/警告
+function atMost(value, { fail, warn }) {
+  if (fail !== undefined && value > fail) return FAIL
+  if (value > warn) return WARN
+  return PASS
+}
+
+function round(value, digits = 1) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : value
+}
+
+/**
+ * 根据阈值评估模特视频的质量
+ * @param {object} metrics 见 model.js checkVideo
+ * @param {object} thresholds 见 config.js qualityCheckConfig
+ * @returns {{status: string, items: {key: string, value: any, status: string}[]}}
+ * 每一项的 value 为原始数值，界面上按 key 展示
+ */
+export function evaluateQuality(metrics, thresholds) {
+  const { width, height, fps, duration, hasAudio, loudness, peak, silence, black, sceneCuts } =
+    metrics
+  const items = [
+    {
+      key: 'resolution',
+      value: `${width}x${height}`,
+      status: atLeast(Math.min(width, height), thresholds.resolution)
+    },
+    { key: 'fps', value: round(fps, 2), status: atLeast(fps, thresholds.fps) },
+    { key: 'duration', value: round(duration), status: atLeast(duration, thresholds.duration) }
+  ]
+
+  if (!hasAudio) {
+    // 没有声音无法克隆音色
+    items.push({ key: 'audio', value: null, status: FAIL })
+  } else {
+    const { fail, warn, loud } = thresholds.loudness
+    let loudnessStatus = atLeast(loudness ?? -Infinity, { fail, warn })
+    if (loudnessStatus === PASS && loudness > loud) loudnessStatus = WARN
+    items.push(
+      { key: 'loudness', value: round(loudness), status: loudnessStatus },
+      {
+        key: 'clipping',
+        value: round(peak),
+        status: peak === null ? PASS : atMost(peak, thresholds.clipping)
+      },
+      {
+        key: 'silence',
+        value: round(duration > 0 ? silence / duration : 0, 2),
+        status: atMost(duration > 0 ? silence / duration : 0, thresholds.silence)
+      }
+    )
+  }
+
+  items.push(
+    {
+      key: 'black',
+      value: round(duration > 0 ? black / duration : 0, 2),
+      status: atMost(duration > 0 ? black / duration : 0, thresholds.black)
+    },
+    {
+      key: 'sceneCut',
+      value: sceneCuts.map((time) => round(time)),
+      status: atMost(sceneCuts.length, thresholds.sceneCut)
+    }
+  )
+
+  const status = items.reduce(
+    (worst, item) => (LEVEL[item.status] > LEVEL[worst] ? item.status : worst),
+    PASS
+  )
+  return { status, items }
+}
@@ -0,0 +1,93 @@
+// 句末标点：中文不需要空格，英文句号后需要空白才算断句（避免小数、网址被切开）
+const SENTENCE_END = {
+  zh: /([。！？；!?;…]+[”’"'）)]*)/,
+  en: /([.!?;]+["')\]]*)(?=\s)/
+}
+
+// 句内停顿，句子过长时在这里再切
+const CLAUSE_END = {
+  zh: /([，、：,:])/,
+  en: /([,:])(?=\s)/
+}
+
+// 英文中常见的缩写，后面的句号不断句
+const EN_ABBREVIATIONS = ['mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e', 'no']
+
+function splitBy(text, pattern) {
+  const parts = text.split(pattern)
+  const result = []
+  for (let i = 0; i < parts.length; i += 2) {
+    const piece = parts[i] + (parts[i + 1] || '')
+    if (piece.trim()) result.push(piece.trim())
+  }
+  return result
+}
+
+function isAbbreviation(sentence) {
+  const lastWord = sentence.slice(0, -1).split(/\s+/).pop().toLowerCase()
+  return EN_ABBREVIATIONS.includes(lastWord)
+}
+
+// 英文缩写导致的误切，和后一句合并回去
+function mergeAbbreviations(sentences) {
+  return sentences.reduce((result, sentence) => {
+    const last = result[result.length - 1]
+    if (last && isAbbreviation(last)) {
+      result[result.length - 1] = `${last} ${sentence}`
+    } else {
+      result.push(sentence)
+    }
+    return result
+  }, [])
+}
+
+// 超长的句子按句内停顿切开，仍然过长的硬切
+function splitLong(sentence, lang, maxLength) {
+  if (sentence.length <= maxLength) return [sentence]
+
+  const result = []
+  let current = ''
+  splitBy(sentence, CLAUSE_END[lang]).forEach((clause) => {
+    const joined = current ? `${current}${lang === 'en' ? ' ' : ''}${clause}` : clause
+    if (joined.length <= maxLength) {
+      current = joined
+      return
+    }
+    if (current) result.push(current)
+    current = clause
+    while (current.length > maxLength) {
+      result.push(current.slice(0, maxLength))
+      current = current.slice(maxLength)
+    }
+  })
+  if (current) result.push(current)
+  return result
+}
+
+/**
+ * 将文案切成句子级的片段，逐段合成可以避免长文本被截断和音色漂移
+ * @param {string} text
+ * @param {string} lang zh / en，其它语言按中文规则处理
+ * @param {number} maxLength 单个片段的最大长度
+ * @returns {string[]}
+ */
+export function splitText(text = '', lang = 'zh', maxLength = 120) {
+  const rule = lang === 'en' ? 'en' : 'zh'
+  return text
+    .split(/\n+/)
+    .flatMap((paragraph) => {
+      let sentences = splitBy(paragraph, SENTENCE_END[rule])
+      if (rule === 'en') sentences = mergeAbbreviations(sentences)
+      return sentences
+    })
+    .flatMap((sentence) => splitLong(sentence, rule, maxLength))
+    .reduce((result, segment) => {
+      // 只有标点的片段并入前一段
+      if (result.length && !/[\p{L}\p{N}]/u.test(segment)) {
+        result[result.length - 1] += segment
+      } else {
+        result.push(segment)
+      }
+      return result
+    }, [])
+}
@@ -0,0 +1,27 @@
+// {{name}}，变量名两侧允许空格
+const VARIABLE_PATTERN = /\{\{\s*([^{}\s]+)\s*\}\}/g
+
+/**
+ * 文本中用到的变量名（去重，按出现顺序）
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractVariables(text = '') {
+  return [...new Set([...text.matchAll(VARIABLE_PATTERN)].map((match) => match[1]))]
+}
+
+/**
+ * 用变量替换文本中的 {{name}}，有变量未提供值时抛出异常
+ * @param {string} text
+ * @param {object} variables 变量名 -> 值
+ * @returns {string}
+ */
+export function renderTemplate(text = '', variables = {}) {
+  const missing = extractVariables(text).filter(
+    (name) => variables[name] === undefined || variables[name] === null || variables[name] === ''
+  )
+  if (missing.length) {
+    throw new Error(`缺少变量：${missing.join('、')}`)
+  }
+  return text.replace(VARIABLE_PATTERN, (match, name) => String(variables[name]))
+}
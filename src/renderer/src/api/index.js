@@ -24,6 +24,26 @@ export function exportVideo(id, outputPath) {
   return window.electron.ipcRenderer.invoke('video/export', id, outputPath)
 }
 
+export function retryVideo(id) {
+  return window.electron.ipcRenderer.invoke('video/retry', id)
+}
+
+export function cancelVideo(id) {
+  return window.electron.ipcRenderer.invoke('video/cancel', id)
+}
+
+export function prioritizeVideo(id) {
+  return window.electron.ipcRenderer.invoke('video/prioritize', id)
+}
+
+export function reorderVideo(ids) {
+  return window.electron.ipcRenderer.invoke('video/reorder', ids)
+}
+
+export function importBatch(filePath) {
+  return window.electron.ipcRenderer.invoke('batch/import', filePath)
+}
+
 export function modifyVideo(video) {
   return window.electron.ipcRenderer.invoke('video/modify', video)
 }
@@ -32,8 +52,8 @@ export function countVideo(name = '') {
   return window.electron.ipcRenderer.invoke('video/count', name)
 }
 
-export function modelPage({ page = 1, pageSize = 1, name = '' }) {
-  return window.electron.ipcRenderer.invoke('model/page', { page, pageSize, name })
+export function modelPage({ page = 1, pageSize = 1, name = '', lang = '', status = '' }) {
+  return window.electron.ipcRenderer.invoke('model/page', { page, pageSize, name, lang, status })
   
 }
 
@@ -41,8 +61,57 @@ export function findModel(id) {
   return window.electron.ipcRenderer.invoke('model/find', id)
 }
 
-export function addModel({ name, videoPath }) {
-  return window.electron.ipcRenderer.invoke('model/addModel', name, videoPath)
+export function addModel({ name, videoPath, lang = 'zh', edit = null }) {
+  return window.electron.ipcRenderer.invoke('model/addModel', name, videoPath, lang, edit)
+}
+
+export function resumeModel(id) {
+  return window.electron.ipcRenderer.invoke('model/resume', id)
+}
+
+/**
+ * 监听模特创建进度
+ * @param {function} callback ({id, status, step, progress, message}) => void
+ * @returns {function} 取消监听
+ */
+export function onModelProgress(callback) {
+  return window.electron.ipcRenderer.on('model/progress', (event, data) => callback(data))
+}
+
+/**
+ * 监听文件下载到本地
+ * @param {function} callback 参数为 {type, id, field, remote_path, local_path}
+ * @returns {function} 取消监听
+ */
+export function onAssetReady(callback) {
+  return window.electron.ipcRenderer.on('asset/ready', (event, data) => callback(data))
+}
+
+/**
+ * 监听文件的下载进度
+ * @param {function} callback 参数为 {type, id, field, remote_path, received, total}
+ * @returns {function} 取消监听
+ */
+export function onAssetProgress(callback) {
+  return window.electron.ipcRenderer.on('asset/progress', (event, data) => callback(data))
+}
+
+/**
+ * 监听封面、预览生成完成
+ * @param {function} callback 参数为 {type, id, thumbnail_path, preview_path}
+ * @returns {function} 取消监听
+ */
+export function onThumbnailReady(callback) {
+  return window.electron.ipcRenderer.on('thumbnail/ready', (event, data) => callback(data))
+}
+
+/**
+ * 检测模特视频质量
+ * @param {string} videoPath
+ * @param {object} [edit] 剪辑参数，只检测剪辑后的部分
+ */
+export function checkModelVideo(videoPath, edit) {
+  return window.electron.ipcRenderer.invoke('model/check', videoPath, edit)
 }
 
 export function countModel(name = '') {
@@ -61,6 +130,102 @@ export function saveContext(key, val) {
   return window.electron.ipcRenderer.invoke('context/save', key, val)
 }
 
-export function audition(voiceId, text) {
-  return window.electron.ipcRenderer.invoke('voice/audition', voiceId, text)
+export function getFileServerToken() {
+  return window.electron.ipcRenderer.invoke('context/fileServerToken')
+}
+
+export function getGcReport() {
+  return window.electron.ipcRenderer.invoke('gc/report')
+}
+
+/**
+ * 检查没有引用的文件，不传 confirmedAt 时只生成报告
+ * @param {number} [confirmedAt] 用户确认清理的报告的 createdAt
+ */
+export function collectGarbage(confirmedAt) {
+  return window.electron.ipcRenderer.invoke('gc/collect', confirmedAt)
+}
+
+export function audition(voiceId, text, param = {}, seed) {
+  return window.electron.ipcRenderer.invoke('voice/audition', voiceId, text, param, seed)
+}
+
+export function voicePage({ page = 1, pageSize = 10, name = '' }) {
+  return window.electron.ipcRenderer.invoke('voice/page', { page, pageSize, name })
+}
+
+export function addVoice({ name, audioPath, lang }) {
+  return window.electron.ipcRenderer.invoke('voice/add', { name, audioPath, lang })
+}
+
+export function renameVoice(id, name) {
+  return window.electron.ipcRenderer.invoke('voice/rename', id, name)
+}
+
+export function removeVoice(id) {
+  return window.electron.ipcRenderer.invoke('voice/remove', id)
+}
+
+export function retrainVoice(id) {
+  return window.electron.ipcRenderer.invoke('voice/retrain', id)
+}
+
+export function voiceDetail(id) {
+  return window.electron.ipcRenderer.invoke('voice/detail', id)
+}
+
+export function saveVoiceText(id, text) {
+  return window.electron.ipcRenderer.invoke('voice/saveText', id, text)
+}
+
+export function trimVoice(id, start, end) {
+  return window.electron.ipcRenderer.invoke('voice/trim', id, start, end)
+}
+
+export function rollbackVoice(id, versionId) {
+  return window.electron.ipcRenderer.invoke('voice/rollback', id, versionId)
+}
+
+export function getVoiceParam(voiceId) {
+  return window.electron.ipcRenderer.invoke('voice/getParam', voiceId)
+}
+
+export function saveVoiceParam(voiceId, param) {
+  return window.electron.ipcRenderer.invoke('voice/saveParam', voiceId, param)
+}
+
+export function getSetting() {
+  return window.electron.ipcRenderer.invoke('setting/get')
+}
+
+export function listBackend() {
+  return window.electron.ipcRenderer.invoke('backend/list')
+}
+
+export function saveBackend(backend) {
+  return window.electron.ipcRenderer.invoke('backend/save', backend)
+}
+
+export function removeBackend(id) {
+  return window.electron.ipcRenderer.invoke('backend/remove', id)
+}
+
+export function testBackend(backend) {
+  return window.electron.ipcRenderer.invoke('backend/test', backend)
+}
+
+export function templateList() {
+  return window.electron.ipcRenderer.invoke('template/list')
+}
+
+export function saveTemplate(template) {
+  return window.electron.ipcRenderer.invoke('template/save', template)
+}
+
+export function removeTemplate(id) {
+  return window.electron.ipcRenderer.invoke('template/remove', id)
+}
+
+export function renderTemplate(text, variables) {
+  return window.electron.ipcRenderer.invoke('template/render', text, variables)
 }
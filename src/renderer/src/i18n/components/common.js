@@ -39,13 +39,72 @@ export const commonZh = {
   videoList: {
     previewTitle: '预览视频',
     downloadTitle: '下载视频',
+    downloadingText: '下载中 {percent}%',
     makeFailedText: '制作失败',
     draftsText: '草稿',
     underProduction: '正在制作中，请耐心等待',
     queuing: '排队中，请耐心等待',
     emptyText: '您还没有视频作品',
     emptyLinkRouteText: '点击这里',
-    emptyRightText: '开始制作视频'
+    emptyRightText: '开始制作视频',
+    retryTitle: '重新合成',
+    retrySuccessText: '已重新加入排队',
+    retryErrorText: '重新合成失败',
+    cancelTitle: '取消',
+    cancelSuccessText: '已取消合成',
+    prioritizeTitle: '优先合成',
+    operationErrorText: '操作失败'
+  },
+  voiceLibrary: {
+    title: '声音库',
+    back: '返回',
+    addVoice: '克隆声音',
+    name: '声音名称',
+    lang: '语言',
+    langZh: '中文',
+    langEn: '英文',
+    audio: '音频文件',
+    selectAudio: '选择音频',
+    unnamed: '未命名声音',
+    modelCount: '{count} 个模特使用',
+    referenceText: '参考文本',
+    preview: '试听',
+    previewText: '欢迎使用声音库，这是一段试听文本。',
+    retrain: '重新训练',
+    rename: '重命名',
+    remove: '删除',
+    empty: '还没有声音，点击右上角克隆一个',
+    submit: '开始克隆',
+    nameRequired: '请输入声音名称',
+    audioRequired: '请选择音频文件',
+    addSuccess: '声音克隆成功',
+    retrainSuccess: '重新训练完成',
+    operationFailed: '操作失败',
+    detail: '详情',
+    referenceAudio: '参考音频',
+    transcript: '参考文本（识别结果，可修改）',
+    saveText: '保存文本',
+    saveTextSuccess: '参考文本已保存',
+    trimTitle: '裁剪参考音频',
+    trimStart: '开始（秒）',
+    trimEnd: '结束（秒）',
+    useCurrent: '取当前播放位置',
+    trim: '裁剪并重新识别',
+    trimInvalid: '结束时间必须大于开始时间',
+    trimSuccess: '裁剪完成，已重新识别参考文本',
+    versions: '历史版本',
+    noVersions: '还没有历史版本',
+    rollback: '回滚',
+    rollbackSuccess: '已回滚到该版本'
+  },
+  batchImport: {
+    buttonText: '批量导入',
+    title: '批量导入结果',
+    summaryText: '共 {total} 行，成功导入 {imported} 行，失败 {failed} 行',
+    lineText: '行号',
+    nameText: '视频名称',
+    reasonText: '失败原因',
+    errorText: '导入失败'
   },
   myModelList: {
     emptyText: '您还没有专属模特',
@@ -53,7 +112,19 @@ export const commonZh = {
     emptyRightText: '开始制作模特',
     inProgressText: '训练中',
     createVideoText: '做视频',
-    previewText: '预览'
+    previewText: '预览',
+    failedText: '创建失败',
+    resumeText: '继续创建',
+    resumeErrorText: '继续创建失败',
+    step: {
+      copy: '复制视频',
+      process: '剪辑视频',
+      extract: '提取音频',
+      uploadVideo: '上传视频',
+      uploadAudio: '上传音频',
+      train: '训练音色',
+      insert: '保存模特'
+    }
   },
   deleteDialog: {
     buttonTextLeft: '取消',
@@ -78,6 +149,38 @@ export const commonZh = {
     headerTitle: '极速定制',
     submitButtonText: '提交定制',
     avatarNameText: '模特名称',
+    langText: '视频语言',
+    check: {
+      title: '质量检测',
+      checking: '正在检测视频质量...',
+      pass: '通过',
+      warn: '警告',
+      fail: '不通过',
+      resolution: '分辨率',
+      fps: '帧率',
+      duration: '时长',
+      audio: '音频',
+      noAudio: '视频没有声音',
+      loudness: '响度',
+      clipping: '峰值',
+      silence: '静音占比',
+      black: '黑屏占比',
+      sceneCut: '镜头切换',
+      sceneCutValue: '{count} 次',
+      failText: '视频质量检测未通过，请更换视频',
+      errorText: '视频质量检测失败'
+    },
+    edit: {
+      title: '剪辑视频',
+      start: '入点（秒）',
+      end: '出点（秒）',
+      useCurrent: '取当前播放位置',
+      crop: '裁剪',
+      original: '原始',
+      resolution: '分辨率',
+      fps: '帧率',
+      tips: '剪辑后的视频会重新编码为恒定帧率，再用于训练'
+    },
     isUploading: '正在上传中...',
     tipsText: '点击上传拍摄好的原始视频',
     uploadVideoText: '上传视频',
@@ -125,7 +228,27 @@ export const commonZh = {
     myVoice: '我的',
     selectSpeaker: '选择',
     speaker: '音色',
-    searchSpeaker: '搜索音色'
+    searchSpeaker: '搜索音色',
+    allLang: '全部语言',
+    template: '模板',
+    insertTemplate: '插入模板',
+    emptyTemplate: '还没有模板',
+    templateName: '模板名称',
+    saveTemplate: '保存当前文案为模板',
+    saveTemplateSuccess: '模板已保存',
+    variables: '变量',
+    variableValue: '请输入{name}',
+    advanced: '高级',
+    advancedTitle: '合成参数',
+    topP: 'Top P',
+    temperature: '随机性',
+    repetitionPenalty: '重复惩罚',
+    chunkLength: '分块长度',
+    fixedSeed: '固定种子',
+    seed: '种子',
+    resetParam: '恢复音色默认',
+    saveVoiceParam: '设为音色默认',
+    saveVoiceParamSuccess: '已保存为音色默认参数'
   },
   headerView: {
     headerBackText: '返回',
@@ -135,12 +258,70 @@ export const commonZh = {
     title: '设置',
     tab: {
       userAgreementText: '用户协议',
+      openLogText: '打开日志',
+      serviceSettingText: '服务设置',
+      voiceLibraryText: '声音库',
       languageSwitchText: '语言切换'
     },
     languageSwitch: {
       languageEnText: '英文',
       languageZhText: '中文'
     }
+  },
+  settingView: {
+    title: '服务设置',
+    backendTitle: '服务地址',
+    pathTitle: '本地目录',
+    addBackend: '添加服务',
+    type: '类型',
+    name: '名称',
+    url: '服务地址',
+    fileServerUrl: '文件服务地址',
+    maxJobs: '并发任务数',
+    enabled: '启用',
+    healthy: '正常',
+    unhealthy: '不可用',
+    test: '测试连接',
+    save: '保存',
+    remove: '删除',
+    testSuccess: '连接成功',
+    testFailed: '连接失败',
+    saveSuccess: '保存成功',
+    saveFailed: '保存失败',
+    urlRequired: '请输入服务地址',
+    modelDir: '模特视频目录',
+    ttsProductDir: 'TTS 产物目录',
+    ttsRootDir: 'TTS 根目录',
+    ttsTrainDir: 'TTS 训练产物目录',
+    face2faceDataDir: 'face2face 文件服务目录',
+    ttsDataDir: 'TTS 文件服务目录',
+    dataDirTips: '修改文件服务目录后，原目录中的文件会移动到新目录，移动期间文件服务暂停',
+    qualityTitle: '模特视频质量检测',
+    qualityTips: '低于（静音、黑屏、镜头切换为高于）不通过阈值的视频不能用于训练，超出警告阈值时提示效果可能不好',
+    quality: {
+      fail: '不通过',
+      warn: '警告',
+      loud: '过响',
+      noise: '静音音量',
+      duration: '最短时长',
+      threshold: '变化分数'
+    },
+    tokenTitle: '文件服务令牌',
+    token: '访问令牌',
+    tokenTips: '部署的文件服务需要设置相同的 FILE_SERVER_TOKEN 环境变量',
+    tokenRequired: '请输入访问令牌',
+    copy: '复制',
+    copySuccess: '已复制',
+    gcTitle: '存储清理',
+    gcScan: '扫描',
+    gcClean: '清理',
+    gcTips: '清理本客户端上传到文件服务的文件和本地缓存中超过 7 天、没有被模特、视频和音色引用的文件，其他成员上传的文件不会删除。自动检查只生成报告，确认后才会删除扫描结果中的文件',
+    gcConfirmTitle: '确认清理',
+    gcConfirm: '将删除扫描发现的 {count} 个没有引用的文件，共 {size} MB，删除后无法恢复，是否继续？',
+    gcEmpty: '尚未扫描',
+    gcReport: '发现 {count} 个没有引用的文件，共 {size} MB',
+    gcDeleted: '已清理 {count} 个文件，共 {size} MB',
+    gcServerError: '{url} 无法检查：{error}'
   }
 }
 
@@ -179,13 +360,72 @@ export const commonEn = {
   videoList: {
     previewTitle: 'Preview',
     downloadTitle: 'Download',
+    downloadingText: 'Downloading {percent}%',
     makeFailedText: 'Failed',
     draftsText: 'Drafts',
     underProduction: 'Generating, please wait for a moment.',
     queuing: 'In the queue, please wait  for a moment.',
     emptyText: "You don't have any video works yet",
     emptyLinkRouteText: 'click here',
-    emptyRightText: 'to Create Video.'
+    emptyRightText: 'to Create Video.',
+    retryTitle: 'Retry',
+    retrySuccessText: 'Added back to the queue',
+    retryErrorText: 'Retry failed',
+    cancelTitle: 'Cancel',
+    cancelSuccessText: 'Cancelled',
+    prioritizeTitle: 'Move to top',
+    operationErrorText: 'Operation failed'
+  },
+  voiceLibrary: {
+    title: 'Voice Library',
+    back: 'Back',
+    addVoice: 'Clone voice',
+    name: 'Voice name',
+    lang: 'Language',
+    langZh: 'Chinese',
+    langEn: 'English',
+    audio: 'Audio file',
+    selectAudio: 'Select audio',
+    unnamed: 'Unnamed voice',
+    modelCount: 'Used by {count} avatar(s)',
+    referenceText: 'Reference text',
+    preview: 'Preview',
+    previewText: 'Welcome to the voice library, this is a preview sentence.',
+    retrain: 'Retrain',
+    rename: 'Rename',
+    remove: 'Delete',
+    empty: 'No voices yet, clone one from the top right',
+    submit: 'Start cloning',
+    nameRequired: 'Please enter a voice name',
+    audioRequired: 'Please select an audio file',
+    addSuccess: 'Voice cloned',
+    retrainSuccess: 'Retrain finished',
+    operationFailed: 'Operation failed',
+    detail: 'Details',
+    referenceAudio: 'Reference audio',
+    transcript: 'Reference text (recognised, editable)',
+    saveText: 'Save text',
+    saveTextSuccess: 'Reference text saved',
+    trimTitle: 'Trim reference audio',
+    trimStart: 'Start (s)',
+    trimEnd: 'End (s)',
+    useCurrent: 'Use playback position',
+    trim: 'Trim and recognise again',
+    trimInvalid: 'End time must be greater than start time',
+    trimSuccess: 'Trimmed, reference text recognised again',
+    versions: 'History',
+    noVersions: 'No previous versions',
+    rollback: 'Roll back',
+    rollbackSuccess: 'Rolled back to this version'
+  },
+  batchImport: {
+    buttonText: 'Batch import',
+    title: 'Batch import result',
+    summaryText: '{total} rows, {imported} imported, {failed} failed',
+    lineText: 'Line',
+    nameText: 'Video name',
+    reasonText: 'Reason',
+    errorText: 'Import failed'
   },
   myModelList: {
     emptyText: "You don't have a Avatar yet",
@@ -193,7 +433,19 @@ export const commonEn = {
     emptyRightText: 'to start making a Avatar.',
     inProgressText: 'In Progress',
     createVideoText: 'Create Video',
-    previewText: 'Preview'
+    previewText: 'Preview',
+    failedText: 'Failed',
+    resumeText: 'Resume',
+    resumeErrorText: 'Failed to resume',
+    step: {
+      copy: 'Copying video',
+      process: 'Editing video',
+      extract: 'Extracting audio',
+      uploadVideo: 'Uploading video',
+      uploadAudio: 'Uploading audio',
+      train: 'Training voice',
+      insert: 'Saving avatar'
+    }
   },
   deleteDialog: {
     buttonTextLeft: 'Cancel',
@@ -218,6 +470,38 @@ export const commonEn = {
     headerTitle: 'Rapid customization',
     submitButtonText: 'Submit',
     avatarNameText: 'Avatar Name',
+    langText: 'Language',
+    check: {
+      title: 'Quality check',
+      checking: 'Checking video quality...',
+      pass: 'Pass',
+      warn: 'Warning',
+      fail: 'Fail',
+      resolution: 'Resolution',
+      fps: 'Frame rate',
+      duration: 'Duration',
+      audio: 'Audio',
+      noAudio: 'The video has no sound',
+      loudness: 'Loudness',
+      clipping: 'Peak',
+      silence: 'Silence',
+      black: 'Black frames',
+      sceneCut: 'Scene cuts',
+      sceneCutValue: '{count} time(s)',
+      failText: 'The video failed the quality check, please use another video',
+      errorText: 'Video quality check failed'
+    },
+    edit: {
+      title: 'Edit video',
+      start: 'In (s)',
+      end: 'Out (s)',
+      useCurrent: 'Use playback position',
+      crop: 'Crop',
+      original: 'Original',
+      resolution: 'Resolution',
+      fps: 'Frame rate',
+      tips: 'The edited video is re-encoded at a constant frame rate before training'
+    },
     isUploading: 'Uploading...',
     tipsText: 'Click to Upload the Video',
     uploadVideoText: 'Upload Video',
@@ -265,7 +549,27 @@ export const commonEn = {
     myVoice: 'My',
     selectSpeaker: 'Select',
     speaker: 'Speaker',
-    searchSpeaker: 'Search Speaker'
+    searchSpeaker: 'Search Speaker',
+    allLang: 'All languages',
+    template: 'Template',
+    insertTemplate: 'Insert template',
+    emptyTemplate: 'No templates yet',
+    templateName: 'Template name',
+    saveTemplate: 'Save text as template',
+    saveTemplateSuccess: 'Template saved',
+    variables: 'Variables',
+    variableValue: 'Enter {name}',
+    advanced: 'Advanced',
+    advancedTitle: 'Generation parameters',
+    topP: 'Top P',
+    temperature: 'Temperature',
+    repetitionPenalty: 'Repetition penalty',
+    chunkLength: 'Chunk length',
+    fixedSeed: 'Fixed seed',
+    seed: 'Seed',
+    resetParam: 'Use voice defaults',
+    saveVoiceParam: 'Save as voice defaults',
+    saveVoiceParamSuccess: 'Saved as voice defaults'
   },
   headerView: {
     headerBackText: 'Back',
@@ -275,11 +579,69 @@ export const commonEn = {
     title: 'Setting',
     tab: {
       userAgreementText: 'User Agreement',
+      openLogText: 'Open Log',
+      serviceSettingText: 'Service Settings',
+      voiceLibraryText: 'Voice Library',
       languageSwitchText: 'Language switch'
     },
     languageSwitch: {
       languageEnText: 'English',
       languageZhText: 'Chinese'
     }
+  },
+  settingView: {
+    title: 'Service Settings',
+    backendTitle: 'Services',
+    pathTitle: 'Local Directories',
+    addBackend: 'Add Service',
+    type: 'Type',
+    name: 'Name',
+    url: 'Service URL',
+    fileServerUrl: 'File Server URL',
+    maxJobs: 'Concurrent Jobs',
+    enabled: 'Enabled',
+    healthy: 'Healthy',
+    unhealthy: 'Unavailable',
+    test: 'Test Connection',
+    save: 'Save',
+    remove: 'Delete',
+    testSuccess: 'Connected',
+    testFailed: 'Connection failed',
+    saveSuccess: 'Saved',
+    saveFailed: 'Save failed',
+    urlRequired: 'Please enter the service URL',
+    modelDir: 'Model video directory',
+    ttsProductDir: 'TTS output directory',
+    ttsRootDir: 'TTS root directory',
+    ttsTrainDir: 'TTS training directory',
+    face2faceDataDir: 'face2face file server directory',
+    ttsDataDir: 'TTS file server directory',
+    dataDirTips: 'When a file server directory changes, existing files are moved to the new directory; the file server pauses while moving',
+    qualityTitle: 'Avatar Video Quality Check',
+    qualityTips: 'Videos below the fail threshold (above it for silence, black frames and scene cuts) cannot be used for training; past the warning threshold a warning is shown',
+    quality: {
+      fail: 'Fail',
+      warn: 'Warning',
+      loud: 'Too loud',
+      noise: 'Silence level',
+      duration: 'Min duration',
+      threshold: 'Change score'
+    },
+    tokenTitle: 'File Server Token',
+    token: 'Access token',
+    tokenTips: 'Deployed file servers must set the same FILE_SERVER_TOKEN environment variable',
+    tokenRequired: 'Please enter the access token',
+    copy: 'Copy',
+    copySuccess: 'Copied',
+    gcTitle: 'Storage Cleanup',
+    gcScan: 'Scan',
+    gcClean: 'Clean',
+    gcTips: 'Removes files older than 7 days that this client uploaded to file servers or cached locally and that no model, video or voice references. Files uploaded by other members are never deleted. Automatic checks only report; files found by the scan are deleted after you confirm',
+    gcConfirmTitle: 'Confirm Cleanup',
+    gcConfirm: '{count} unreferenced files found by the scan, {size} MB in total, will be deleted. This cannot be undone. Continue?',
+    gcEmpty: 'Not scanned yet',
+    gcReport: '{count} unreferenced files, {size} MB in total',
+    gcDeleted: '{count} files cleaned, {size} MB in total',
+    gcServerError: '{url} could not be checked: {error}'
   }
 }
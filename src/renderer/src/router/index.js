@@ -2,6 +2,8 @@ import { createRouter, createWebHashHistory } from 'vue-router'
 import home from '@renderer/views/home/index.vue'
 import account from '@renderer/views/account/index.vue'
 import VideoEditView from '@renderer/views/video-edit/VideoEditView.vue'
+import setting from '@renderer/views/setting/index.vue'
+import voice from '@renderer/views/voice/index.vue'
 
 const router = createRouter({
   history: createWebHashHistory(),
@@ -26,6 +28,16 @@ const router = createRouter({
       name: 'account',
       component: account
     },
+    {
+      path: '/setting',
+      name: 'setting',
+      component: setting
+    },
+    {
+      path: '/voice',
+      name: 'voice',
+      component: voice
+    },
   ]
 })
 
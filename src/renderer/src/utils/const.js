@@ -1,2 +1,4 @@
 export const agreementKey = 'is_agree'
 export const lang_ = 'lang'
+export const settingKey = 'settings'
+export const fileServerTokenKey = 'file_server_token'
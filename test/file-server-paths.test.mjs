@@ -0,0 +1,261 @@
+/**
+ * 文件服务的路径解析：越界、编码绕过、软链接等请求不能读到数据目录外的文件
+ * 覆盖 resolve-path.mjs 以及应用内和部署的两个文件服务的 /file/download
+ */
+import { test, describe, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs'
+import net from 'node:net'
+import os from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createResolver, PathError } from '../deploy/file-server/resolve-path.mjs'
+import { createFileServerApp } from '../src/main/server/file-server-app.js'
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const TOKEN = 'test-token'
+const SECRET = 'secret outside the data directory'
+const silent = { info() {}, warn() {}, error() {} }
+
+/**
+ * 临时目录：base/secret.txt 在数据目录外，base/data 为数据目录
+ */
+function createFixture() {
+  const base = fs.mkdtempSync(path.join(os.tmpdir(), 'file-server-test-'))
+  const dataDir = path.join(base, 'data')
+  const outside = path.join(base, 'outside')
+  fs.mkdirSync(path.join(dataDir, 'audio'), { recursive: true })
+  fs.mkdirSync(path.join(dataDir, '.uploads'), { recursive: true })
+  fs.mkdirSync(outside)
+  fs.writeFileSync(path.join(base, 'secret.txt'), SECRET)
+  fs.writeFileSync(path.join(outside, 'secret.txt'), SECRET)
+  fs.writeFileSync(path.join(dataDir, 'audio', 'voice.wav'), 'voice')
+  fs.writeFileSync(path.join(dataDir, 'audio', '.hidden'), 'hidden')
+  fs.writeFileSync(path.join(dataDir, '.uploads', 'state.json'), '{}')
+  fs.symlinkSync(path.join(base, 'secret.txt'), path.join(dataDir, 'audio', 'link.txt'))
+  fs.symlinkSync(outside, path.join(dataDir, 'escape'), 'dir')
+  return { base, dataDir }
+}
+
+// [描述, 原样拼接到 ?path= 后的查询串, 期望的状态码]
+const DOWNLOAD_CASES = [
+  ['relative path', 'audio/voice.wav', 200],
+  ['file id', 'voice.wav', 200],
+  ['missing file', 'audio/missing.wav', 404],
+  ['directory', 'audio', 404],
+  ['empty path', '', 400],
+  ['repeated path parameter', 'audio/voice.wav&path=../secret.txt', 400],
+  ['parent directory', '../secret.txt', 403],
+  ['nested parent directory', 'audio/../../secret.txt', 403],
+  ['dot segments only', '..', 403],
+  ['url-encoded slash', '..%2fsecret.txt', 403],
+  ['url-encoded dots', '%2e%2e%2fsecret.txt', 403],
+  ['double-encoded slash', '..%252fsecret.txt', 403],
+  ['double-encoded dots', '%252e%252e%252fsecret.txt', 404],
+  ['absolute path', encodeURIComponent('/etc/passwd'), 403],
+  ['drive letter', 'C:/Windows/win.ini', 403],
+  ['drive letter with backslash', encodeURIComponent('C:\\Windows\\win.ini'), 403],
+  ['backslash parent directory', encodeURIComponent('..\\secret.txt'), 403],
+  ['backslash nested parent directory', encodeURIComponent('audio\\..\\..\\secret.txt'), 403],
+  ['NUL byte', 'audio/voice.wav%00.txt', 400],
+  ['hidden file', 'audio/.hidden', 403],
+  ['hidden directory', '.uploads/state.json', 403],
+  ['symlink to a file outside', 'audio/link.txt', 403],
+  ['symlinked directory outside', 'escape/secret.txt', 403]
+]
+
+function downloadCases(getBaseUrl, getFixture) {
+  for (const [name, query, status] of DOWNLOAD_CASES) {
+    test(`${name} -> ${status}`, async () => {
+      const response = await fetch(`${getBaseUrl()}/file/download?path=${query}`, {
+        headers: { Authorization: `Bearer ${TOKEN}` }
+      })
+      const body = await response.text()
+      assert.equal(response.status, status)
+      assert.ok(!body.includes(SECRET))
+    })
+  }
+
+  test('absolute path of a file outside -> 403', async () => {
+    const secretPath = encodeURIComponent(path.join(getFixture().base, 'secret.txt'))
+    const response = await fetch(`${getBaseUrl()}/file/download?path=${secretPath}`, {
+      headers: { Authorization: `Bearer ${TOKEN}` }
+    })
+    assert.equal(response.status, 403)
+  })
+
+  test('upload category outside the data directory -> 403', async () => {
+    const response = await fetch(`${getBaseUrl()}/file/upload/init`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fileName: 'a.wav', size: 1, category: '../evil' })
+    })
+    assert.equal(response.status, 403)
+  })
+}
+
+describe('createResolver', () => {
+  let fixture
+  let resolver
+
+  before(() => {
+    fixture = createFixture()
+    resolver = createResolver(fixture.dataDir, { log: silent })
+  })
+
+  after(() => {
+    fs.rmSync(fixture.base, { recursive: true, force: true })
+  })
+
+  const rejects = (requested, status) => {
+    assert.throws(
+      () => resolver.resolve(requested),
+      (error) => error instanceof PathError && error.status === status
+    )
+  }
+
+  test('resolves paths inside the data directory', () => {
+    assert.equal(
+      resolver.resolve('audio/voice.wav'),
+      path.join(fixture.dataDir, 'audio', 'voice.wav')
+    )
+    assert.equal(
+      resolver.resolve('audio\\voice.wav'),
+      path.join(fixture.dataDir, 'audio', 'voice.wav')
+    )
+    assert.equal(
+      resolver.resolve('audio/./voice.wav'),
+      path.join(fixture.dataDir, 'audio', 'voice.wav')
+    )
+  })
+
+  test('finds files by id through the index', () => {
+    assert.equal(resolver.resolve('voice.wav'), path.join(fixture.dataDir, 'audio', 'voice.wav'))
+    const added = path.join(fixture.dataDir, 'audio', 'added.wav')
+    fs.writeFileSync(added, 'added')
+    resolver.add(added)
+    assert.equal(resolver.resolve('added.wav'), added)
+    resolver.remove(added)
+    fs.unlinkSync(added)
+    assert.equal(resolver.resolve('added.wav'), path.join(fixture.dataDir, 'added.wav'))
+  })
+
+  test('rejects invalid input with 400', () => {
+    rejects('', 400)
+    rejects(undefined, 400)
+    rejects(['audio/voice.wav'], 400)
+    rejects('audio/voice.wav\0.txt', 400)
+  })
+
+  test('rejects paths leaving the data directory with 403', () => {
+    for (const requested of [
+      '..',
+      '../secret.txt',
+      'audio/../../secret.txt',
+      '..\\secret.txt',
+      'audio\\..\\..\\secret.txt',
+      '/etc/passwd',
+      path.join(fixture.base, 'secret.txt'),
+      'C:/Windows/win.ini',
+      'c:\\Windows\\win.ini',
+      '.',
+      'audio/..'
+    ]) {
+      rejects(requested, 403)
+    }
+  })
+
+  test('rejects hidden files and directories with 403', () => {
+    rejects('.uploads/state.json', 403)
+    rejects('audio/.hidden', 403)
+    rejects('state.json/../.uploads/state.json', 403)
+  })
+
+  test('rejects symlinks pointing outside with 403', () => {
+    rejects('audio/link.txt', 403)
+    rejects('escape/secret.txt', 403)
+  })
+
+  test('only accepts a single directory name as category', () => {
+    assert.equal(resolver.categoryDir('audio'), path.join(fixture.dataDir, 'audio'))
+    assert.equal(resolver.categoryDir(), path.join(fixture.dataDir, 'default'))
+    for (const category of ['', '..', '../evil', 'a/b', 'a\\b', '.uploads', '/tmp', 'escape']) {
+      assert.throws(
+        () => resolver.categoryDir(category),
+        (error) => error instanceof PathError && error.status === 403,
+        category
+      )
+    }
+  })
+})
+
+describe('in-app file server /file/download', () => {
+  let fixture
+  let server
+
+  before(async () => {
+    fixture = createFixture()
+    const app = createFileServerApp(fixture.dataDir, { token: TOKEN, log: silent })
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+    })
+  })
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve))
+    fs.rmSync(fixture.base, { recursive: true, force: true })
+  })
+
+  downloadCases(
+    () => `http://127.0.0.1:${server.address().port}`,
+    () => fixture
+  )
+})
+
+describe('deploy file server /file/download', () => {
+  let fixture
+  let child
+  let port
+
+  before(async () => {
+    fixture = createFixture()
+    port = await new Promise((resolve) => {
+      const probe = net.createServer().listen(0, '127.0.0.1', () => {
+        const { port: free } = probe.address()
+        probe.close(() => resolve(free))
+      })
+    })
+    child = spawn(
+      process.execPath,
+      [path.join(ROOT, 'deploy/file-server/index.js'), port, fixture.dataDir],
+      {
+        env: { ...process.env, FILE_SERVER_TOKEN: TOKEN },
+        stdio: ['ignore', 'pipe', 'ignore']
+      }
+    )
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('deploy file server did not start')), 10000)
+      child.stdout.on('data', (data) => {
+        if (String(data).includes('listening')) {
+          clearTimeout(timer)
+          resolve()
+        }
+      })
+      child.on('exit', (code) => {
+        clearTimeout(timer)
+        reject(new Error(`deploy file server exited with ${code}`))
+      })
+    })
+  })
+
+  after(() => {
+    child.kill()
+    fs.rmSync(fixture.base, { recursive: true, force: true })
+  })
+
+  downloadCases(
+    () => `http://127.0.0.1:${port}`,
+    () => fixture
+  )
+})